@@ -1,13 +1,9 @@
-var abiDir;
-if (process.env.NETWORK) {
-  abiDir = "./build/abis"
-} else {
-  abiDir = "./build/contracts"
-}
-
+// Contract addresses come from src/deployments.json, so the same artifacts
+// serve every network. Fresh builds take precedence over the ABIs the
+// migrations copy into src, which npm start serves on its own
 module.exports = {
   "server": {
-    "baseDir": ["./src", abiDir]
+    "baseDir": ["./build/contracts", "./src"]
   },
   "port": process.env.PORT
 }
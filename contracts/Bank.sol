@@ -2,7 +2,8 @@
 pragma solidity ^0.8.0;
 
 import "./BankStorage.sol";
-import "./ITellor.sol";
+import "./oracles/IPriceOracle.sol";
+import "./oracles/IPriceHistory.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
@@ -12,12 +13,12 @@ import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
  * @title Bank
  * This contract allows the owner to deposit reserves(debt token), earn interest and
  * origination fees from users that borrow against their collateral.
- * The oracle for Bank is Tellor.
+ * Prices come from an IPriceOracle adapter (Tellor, Chainlink or manual),
+ * see contracts/oracles.
  */
 contract Bank is BankStorage, Ownable, Initializable {
     using SafeERC20 for IERC20;
 
-    address private _owner;
     address private _bankFactoryOwner;
 
     /*Events*/
@@ -28,7 +29,26 @@ contract Bank is BankStorage, Ownable, Initializable {
     event VaultRepay(address borrower, uint256 amount);
     event VaultWithdraw(address borrower, uint256 amount);
     event PriceUpdate(address token, uint256 price);
-    event Liquidation(address borrower, uint256 debtAmount);
+    event Liquidation(
+        address borrower,
+        address liquidator,
+        uint256 debtRepaid,
+        uint256 collateralSeized
+    );
+    event CloseFactorUpdate(uint256 closeFactor);
+    event PriceGuardsUpdate(uint256 maxPriceAge, uint256 maxPriceDeviation);
+    event PriceAggregationUpdate(
+        uint256 priceAggregation,
+        uint256 priceSamples,
+        uint256 disputeWindow
+    );
+
+    uint256 public constant DEFAULT_CLOSE_FACTOR = 50;
+    uint256 public constant DEFAULT_MAX_PRICE_DEVIATION = 50;
+    uint256 public constant PRICE_LATEST = 0;
+    uint256 public constant PRICE_MEDIAN = 1;
+    uint256 public constant PRICE_TWAP = 2;
+    uint256 public constant MAX_PRICE_SAMPLES = 20;
 
     /*Constructor*/
     constructor(address payable oracleContract) {
@@ -56,7 +76,10 @@ contract Bank is BankStorage, Ownable, Initializable {
         reserve.oracleContract = oracleContract;
         reserve.liquidationPenalty = liquidationPenalty;
         reserve.period = period;
-        _owner = creator; // Make the creator the first admin
+        reserve.closeFactor = DEFAULT_CLOSE_FACTOR;
+        reserve.maxPriceDeviation = DEFAULT_MAX_PRICE_DEVIATION;
+        reserve.priceSamples = 1;
+        _transferOwnership(creator); // Make the creator the first admin
         _bankFactoryOwner = bankFactoryOwner;
         name = bankName;
     }
@@ -69,11 +92,13 @@ contract Bank is BankStorage, Ownable, Initializable {
         uint256 collateralTokenTellorRequestId,
         uint256 collateralTokenPriceGranularity,
         uint256 collateralTokenPrice
-    ) public onlyOwner initializer {
+    ) public onlyOwner {
+        require(collateral.tokenAddress == address(0), "COLLATERAL ALREADY SET");
         collateral.tokenAddress = collateralToken;
         collateral.price = collateralTokenPrice;
         collateral.priceGranularity = collateralTokenPriceGranularity;
         collateral.tellorRequestId = collateralTokenTellorRequestId;
+        collateral.lastUpdatedAt = block.timestamp;
     }
 
     /**
@@ -84,11 +109,13 @@ contract Bank is BankStorage, Ownable, Initializable {
         uint256 debtTokenTellorRequestId,
         uint256 debtTokenPriceGranularity,
         uint256 debtTokenPrice
-    ) public onlyOwner initializer {
+    ) public onlyOwner {
+        require(debt.tokenAddress == address(0), "DEBT ALREADY SET");
         debt.tokenAddress = debtToken;
         debt.price = debtTokenPrice;
         debt.priceGranularity = debtTokenPriceGranularity;
         debt.tellorRequestId = debtTokenTellorRequestId;
+        debt.lastUpdatedAt = block.timestamp;
     }
 
     /**
@@ -145,62 +172,154 @@ contract Bank is BankStorage, Ownable, Initializable {
 
     /**
      * @dev Use this function to get and update the price for the collateral token
-     * using the Tellor Oracle.
+     * using the bank's oracle adapter.
      */
     function updateCollateralPrice() external onlyOwner {
-        bool ifRetrieve;
-        (
-            ifRetrieve,
-            collateral.price,
-            collateral.lastUpdatedAt
-        ) = getCurrentValue(collateral.tellorRequestId); //,now - 1 hours);
+        (collateral.price, collateral.lastUpdatedAt) = _oraclePrice(collateral);
         emit PriceUpdate(collateral.tokenAddress, collateral.price);
     }
 
     /**
      * @dev Use this function to get and update the price for the debt token
-     * using the Tellor Oracle.
+     * using the bank's oracle adapter.
      */
     function updateDebtPrice() external onlyOwner {
-        bool ifRetrieve;
-        (ifRetrieve, debt.price, debt.lastUpdatedAt) = getCurrentValue(
-            debt.tellorRequestId
-        ); //,now - 1 hours);
+        (debt.price, debt.lastUpdatedAt) = _oraclePrice(debt);
         emit PriceUpdate(debt.tokenAddress, debt.price);
     }
 
     /**
-     * @dev Anyone can use this function to liquidate a vault's debt,
-     * the bank admins gets the collateral liquidated, liquidated collateral
-     * is charged a 10% fee which gets paid to the bankFactoryOwner
-     * @param vaultOwner is the user the bank admins wants to liquidate
+     * @dev This function allows the Bank owner to set the oracle price guards
+     * @param maxPriceAge is how many seconds a price stays usable for borrows,
+     * withdrawals and liquidations after its oracle update, 0 for no limit
+     * @param maxPriceDeviation is the percentage one oracle update can move a
+     * price, larger moves are capped, 0 for no limit
      */
-    function liquidate(address vaultOwner) external onlyOwner {
+    function setPriceGuards(uint256 maxPriceAge, uint256 maxPriceDeviation)
+        external
+        onlyOwner
+    {
+        reserve.maxPriceAge = maxPriceAge;
+        reserve.maxPriceDeviation = maxPriceDeviation;
+        emit PriceGuardsUpdate(maxPriceAge, maxPriceDeviation);
+    }
+
+    /**
+     * @dev This function allows the Bank owner to price tokens from several
+     * recent oracle values instead of the latest one, which needs an adapter
+     * with a price history
+     * @param priceAggregation is PRICE_LATEST, PRICE_MEDIAN or PRICE_TWAP
+     * @param priceSamples is how many recent values are aggregated, from 1 to
+     * MAX_PRICE_SAMPLES
+     * @param disputeWindow is how many seconds a value is ignored after it is
+     * reported, while it can still be disputed, 0 to use values right away
+     */
+    function setPriceAggregation(
+        uint256 priceAggregation,
+        uint256 priceSamples,
+        uint256 disputeWindow
+    ) external onlyOwner {
+        require(priceAggregation <= PRICE_TWAP, "UNKNOWN PRICE AGGREGATION");
+        require(
+            priceSamples >= 1 && priceSamples <= MAX_PRICE_SAMPLES,
+            "PRICE SAMPLES MUST BE 1 TO 20"
+        );
+        if (priceAggregation != PRICE_LATEST || disputeWindow > 0) {
+            require(_hasPriceHistory(), "ORACLE HAS NO PRICE HISTORY");
+        }
+        reserve.priceAggregation = priceAggregation;
+        reserve.priceSamples = priceSamples;
+        reserve.disputeWindow = disputeWindow;
+        emit PriceAggregationUpdate(
+            priceAggregation,
+            priceSamples,
+            disputeWindow
+        );
+    }
+
+    /**
+     * @dev This function allows the Bank owner to set how much of a vault's debt
+     * a single liquidation can repay
+     * @param closeFactor is the percentage of the debt, from 1 to 100
+     */
+    function setCloseFactor(uint256 closeFactor) external onlyOwner {
+        require(
+            closeFactor > 0 && closeFactor <= 100,
+            "CLOSE FACTOR MUST BE 1 TO 100"
+        );
+        reserve.closeFactor = closeFactor;
+        emit CloseFactorUpdate(closeFactor);
+    }
+
+    /**
+     * @dev Anyone can use this function to liquidate an undercollateralized vault.
+     * The liquidator repays part of the vault's debt, including interest, in debt
+     * tokens and receives collateral worth that part plus the liquidation penalty
+     * as their bonus. The bankFactoryOwner is paid a 10% fee out of that bonus
+     * @param vaultOwner is the user the liquidator wants to liquidate
+     * @param amount is the debt to repay, capped at the close factor of the debt
+     */
+    function liquidate(address vaultOwner, uint256 amount) external {
+        require(amount > 0, "Amount is zero !!");
+        require(vaults[vaultOwner].debtAmount > 0, "VAULT HAS NO DEBT");
+        _requireValidPrices();
         // Require undercollateralization
         require(
             getVaultCollateralizationRatio(vaultOwner) <
                 reserve.collateralizationRatio * 100,
             "VAULT NOT UNDERCOLLATERALIZED"
         );
-        uint256 debtOwned = vaults[vaultOwner].debtAmount +
-            ((vaults[vaultOwner].debtAmount *
-                100 *
-                reserve.liquidationPenalty) /
-                100 /
-                100);
-        uint256 collateralToLiquidate = (debtOwned * debt.price) /
-            collateral.price;
-
-        if (collateralToLiquidate > vaults[vaultOwner].collateralAmount) {
-            collateralToLiquidate = vaults[vaultOwner].collateralAmount;
+        // Settle the interest accrued so far, as vaultRepay does
+        vaults[vaultOwner].debtAmount = getVaultRepayAmountOf(vaultOwner);
+        uint256 periodsElapsed = (block.timestamp / reserve.period) -
+            (vaults[vaultOwner].createdAt / reserve.period);
+        vaults[vaultOwner].createdAt += periodsElapsed * reserve.period;
+        // The ratio on the settled debt, which the liquidation must not lower
+        uint256 ratioBefore = getVaultCollateralizationRatio(vaultOwner);
+
+        uint256 maxRepay = (vaults[vaultOwner].debtAmount *
+            reserve.closeFactor) / 100;
+        // Below 100% plus the penalty every partial liquidation lowers the
+        // ratio further, so the whole debt may be repaid at once
+        if (ratioBefore <= (100 + reserve.liquidationPenalty) * 100) {
+            maxRepay = vaults[vaultOwner].debtAmount;
+        }
+        if (amount > maxRepay) {
+            amount = maxRepay;
+        }
+        uint256 debtOwned = amount +
+            ((amount * 100 * reserve.liquidationPenalty) / 100 / 100);
+        uint256 collateralToLiquidate = _debtToCollateral(debtOwned);
+
+        uint256 collateralAmount = getVaultCollateralAmountOf(vaultOwner);
+        if (collateralToLiquidate > collateralAmount) {
+            collateralToLiquidate = collateralAmount;
         }
 
-        uint256 feeAmount = collateralToLiquidate / 10; // Bank Factory collects 10% fee
-        reserve.collateralBalance += collateralToLiquidate - feeAmount;
+        uint256 repaidCollateral = _debtToCollateral(amount);
+        uint256 feeAmount = 0;
+        if (collateralToLiquidate > repaidCollateral) {
+            feeAmount = (collateralToLiquidate - repaidCollateral) / 10; // Bank Factory collects 10% of the bonus
+        }
+        reserve.debtBalance += amount;
         vaults[vaultOwner].collateralAmount -= collateralToLiquidate;
-        vaults[vaultOwner].debtAmount = 0;
+        vaults[vaultOwner].debtAmount -= amount;
+        require(
+            vaults[vaultOwner].debtAmount == 0 ||
+                getVaultCollateralizationRatio(vaultOwner) >= ratioBefore,
+            "LIQUIDATION WOULD LOWER VAULT RATIO"
+        );
+        IERC20(debt.tokenAddress).safeTransferFrom(
+            msg.sender,
+            address(this),
+            amount
+        );
+        IERC20(collateral.tokenAddress).safeTransfer(
+            msg.sender,
+            collateralToLiquidate - feeAmount
+        );
         IERC20(collateral.tokenAddress).safeTransfer(_bankFactoryOwner, feeAmount);
-        emit Liquidation(vaultOwner, debtOwned);
+        emit Liquidation(vaultOwner, msg.sender, amount, collateralToLiquidate);
     }
 
     /**
@@ -223,6 +342,7 @@ contract Bank is BankStorage, Ownable, Initializable {
      * @param amount to borrow
      */
     function vaultBorrow(uint256 amount) external {
+        _requireValidPrices();
         if (vaults[msg.sender].debtAmount != 0) {
             vaults[msg.sender].debtAmount = getVaultRepayAmount();
         }
@@ -281,6 +401,10 @@ contract Bank is BankStorage, Ownable, Initializable {
             amount <= vaults[msg.sender].collateralAmount,
             "CANNOT WITHDRAW MORE COLLATERAL"
         );
+        // Without debt the collateral is the user's regardless of prices
+        if (vaults[msg.sender].debtAmount > 0) {
+            _requireValidPrices();
+        }
         uint256 maxBorrowAfterWithdraw = (((vaults[msg.sender]
             .collateralAmount - amount) * collateral.price) /
             debt.price /
@@ -291,8 +415,8 @@ contract Bank is BankStorage, Ownable, Initializable {
             vaults[msg.sender].debtAmount <= maxBorrowAfterWithdraw,
             "CANNOT UNDERCOLLATERALIZE VAULT"
         );
+        // Vault collateral was never part of the reserve
         vaults[msg.sender].collateralAmount -= amount;
-        reserve.collateralBalance -= amount;
         IERC20(collateral.tokenAddress).safeTransfer(msg.sender, amount);
         emit VaultWithdraw(msg.sender, amount);
     }
@@ -306,6 +430,183 @@ contract Bank is BankStorage, Ownable, Initializable {
         _bankFactoryOwner = newOwner;
     }
 
+    /**
+     * @dev The collateral worth a debt token amount at the current prices,
+     * each price scaled by its own granularity as in
+     * getVaultCollateralizationRatio
+     */
+    function _debtToCollateral(uint256 amount) internal view returns (uint256) {
+        return
+            (amount * debt.price * collateral.priceGranularity) /
+            (collateral.price * debt.priceGranularity);
+    }
+
+    /**
+     * @dev Reads a token's latest oracle value, rejecting missing or zero values
+     * and capping the move from the current price at the maximum deviation
+     */
+    function _oraclePrice(Token storage token)
+        internal
+        view
+        returns (uint256 price, uint256 updatedAt)
+    {
+        bool ifRetrieve;
+        (ifRetrieve, price, updatedAt) = getAggregatedValue(
+            token.tellorRequestId
+        );
+        require(ifRetrieve && price > 0, "ORACLE PRICE UNAVAILABLE");
+        if (reserve.maxPriceDeviation > 0 && token.price > 0) {
+            uint256 maxChange = (token.price * reserve.maxPriceDeviation) / 100;
+            if (price > token.price + maxChange) {
+                price = token.price + maxChange;
+            } else if (price + maxChange < token.price) {
+                price = token.price - maxChange;
+            }
+        }
+    }
+
+    /**
+     * @dev Whether the oracle adapter implements IPriceHistory
+     */
+    function _hasPriceHistory() internal view returns (bool) {
+        if (reserve.oracleContract.code.length == 0) return false;
+        try
+            IPriceHistory(reserve.oracleContract).getValueCount(0)
+        returns (uint256) {
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @dev Fills values and times, newest first, with the latest nonzero
+     * values reported at or before settledAt. Zero values were disputed away.
+     * @return found how many values were filled
+     */
+    function _settledValues(
+        uint256 _requestId,
+        uint256 settledAt,
+        uint256[] memory values,
+        uint256[] memory times
+    ) internal view returns (uint256 found) {
+        IPriceHistory history = IPriceHistory(reserve.oracleContract);
+        for (
+            uint256 i = history.getValueCount(_requestId);
+            i > 0 && found < values.length;
+            i--
+        ) {
+            (uint256 value, uint256 timestamp) = history.getValueAt(
+                _requestId,
+                i - 1
+            );
+            if (value == 0 || timestamp > settledAt) continue;
+            values[found] = value;
+            times[found] = timestamp;
+            found++;
+        }
+    }
+
+    /**
+     * @dev Median of the first count values, sorts them in place
+     */
+    function _median(uint256[] memory values, uint256 count)
+        internal
+        pure
+        returns (uint256)
+    {
+        for (uint256 i = 1; i < count; i++) {
+            uint256 current = values[i];
+            uint256 j = i;
+            while (j > 0 && values[j - 1] > current) {
+                values[j] = values[j - 1];
+                j--;
+            }
+            values[j] = current;
+        }
+        if (count % 2 == 1) return values[count / 2];
+        return (values[count / 2 - 1] + values[count / 2]) / 2;
+    }
+
+    /**
+     * @dev Average of the first count values, newest first, each weighted by
+     * how long it was the latest value. The newest one holds until settledAt.
+     */
+    function _timeWeightedAverage(
+        uint256[] memory values,
+        uint256[] memory times,
+        uint256 count,
+        uint256 settledAt
+    ) internal pure returns (uint256) {
+        uint256 weighted;
+        uint256 until = settledAt;
+        for (uint256 i = 0; i < count; i++) {
+            weighted += values[i] * (until - times[i]);
+            until = times[i];
+        }
+        if (settledAt == until) return values[0];
+        return weighted / (settledAt - until);
+    }
+
+    /**
+     * @dev Reverts unless both prices are set and, with a maximum price age,
+     * were updated recently enough
+     */
+    function _requireValidPrices() internal view {
+        require(collateral.price > 0 && debt.price > 0, "PRICE IS ZERO");
+        if (reserve.maxPriceAge > 0) {
+            require(
+                block.timestamp - collateral.lastUpdatedAt <=
+                    reserve.maxPriceAge &&
+                    block.timestamp - debt.lastUpdatedAt <= reserve.maxPriceAge,
+                "PRICE IS STALE"
+            );
+        }
+    }
+
+    /**
+     * @dev Reads the value a request ID is priced at: the latest value, or the
+     * median or time-weighted average of the last priceSamples values that are
+     * older than the dispute window
+     * @param _requestId the token's tellorRequestId, or the adapter's feed ID
+     */
+    function getAggregatedValue(uint256 _requestId)
+        public
+        view
+        returns (
+            bool ifRetrieve,
+            uint256 value,
+            uint256 _timestampRetrieved
+        )
+    {
+        if (
+            reserve.priceAggregation == PRICE_LATEST &&
+            reserve.disputeWindow == 0
+        ) {
+            return getCurrentValue(_requestId);
+        }
+        uint256 samples = reserve.priceAggregation == PRICE_LATEST
+            ? 1
+            : reserve.priceSamples;
+        uint256[] memory values = new uint256[](samples);
+        uint256[] memory times = new uint256[](samples);
+        uint256 settledAt = block.timestamp > reserve.disputeWindow
+            ? block.timestamp - reserve.disputeWindow
+            : 0;
+        uint256 found = _settledValues(_requestId, settledAt, values, times);
+        if (found == 0) return (false, 0, 0);
+        if (reserve.priceAggregation == PRICE_TWAP) {
+            value = _timeWeightedAverage(values, times, found, settledAt);
+        } else {
+            value = _median(values, found);
+        }
+        return (true, value, times[0]);
+    }
+
+    /**
+     * @dev Reads the latest value for a request ID from the oracle adapter
+     * @param _requestId the token's tellorRequestId, or the adapter's feed ID
+     */
     function getCurrentValue(uint256 _requestId)
         public
         view
@@ -315,14 +616,6 @@ contract Bank is BankStorage, Ownable, Initializable {
             uint256 _timestampRetrieved
         )
     {
-        ITellor oracle = ITellor(reserve.oracleContract);
-        uint256 _count = oracle.getNewValueCountbyRequestId(_requestId);
-        uint256 _time = oracle.getTimestampbyRequestIDandIndex(
-            _requestId,
-            _count - 1
-        );
-        uint256 _value = oracle.retrieveData(_requestId, _time);
-        if (_value > 0) return (true, _value, _time);
-        return (false, 0, _time);
+        return IPriceOracle(reserve.oracleContract).getCurrentValue(_requestId);
     }
 }
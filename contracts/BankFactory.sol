@@ -20,6 +20,11 @@ contract BankFactory is Ownable {
         bankAddress = _bankAddress;
     }
 
+    /**
+     * @dev Clones the bank implementation and initializes it for the caller
+     * @param oracleAddress the IPriceOracle adapter (TellorAdapter,
+     * ChainlinkAdapter or ManualAdapter) the bank reads its prices from
+     */
     function createBank(
         string memory name,
         uint256 interestRate,
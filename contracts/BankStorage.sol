@@ -21,6 +21,12 @@ contract BankStorage {
         uint256 liquidationPenalty;
         address oracleContract;
         uint256 period;
+        uint256 closeFactor;
+        uint256 maxPriceAge;
+        uint256 maxPriceDeviation;
+        uint256 priceAggregation;
+        uint256 priceSamples;
+        uint256 disputeWindow;
     }
 
     struct Token {
@@ -38,6 +44,40 @@ contract BankStorage {
         uint256 createdAt;
     }
 
+    struct BankSummary {
+        uint256 interestRate;
+        uint256 originationFee;
+        uint256 collateralizationRatio;
+        uint256 liquidationPenalty;
+        uint256 period;
+        uint256 reserveBalance;
+        uint256 reserveCollateralBalance;
+        address oracleContract;
+        address collateralTokenAddress;
+        uint256 collateralTokenPrice;
+        uint256 collateralTokenPriceGranularity;
+        uint256 collateralTokenLastUpdatedAt;
+        address debtTokenAddress;
+        uint256 debtTokenPrice;
+        uint256 debtTokenPriceGranularity;
+        uint256 debtTokenLastUpdatedAt;
+        uint256 closeFactor;
+        uint256 maxPriceAge;
+        uint256 maxPriceDeviation;
+        uint256 priceAggregation;
+        uint256 priceSamples;
+        uint256 disputeWindow;
+    }
+
+    struct VaultSummary {
+        uint256 collateralAmount;
+        uint256 debtAmount;
+        uint256 repayAmount;
+        uint256 createdAt;
+        uint256 collateralizationRatio;
+        uint256 timestamp;
+    }
+
     mapping(address => Vault) public vaults;
     Token debt;
     Token collateral;
@@ -83,6 +123,70 @@ contract BankStorage {
         return reserve.liquidationPenalty;
     }
 
+    /**
+     * @dev Getter function for the close factor
+     * @return percentage of a vault's debt one liquidation can repay
+     */
+    function getCloseFactor() public view returns (uint256) {
+        return reserve.closeFactor;
+    }
+
+    /**
+     * @dev Getter function for the maximum price age
+     * @return seconds a price stays usable after its oracle update, 0 for no limit
+     */
+    function getMaxPriceAge() public view returns (uint256) {
+        return reserve.maxPriceAge;
+    }
+
+    /**
+     * @dev Getter function for the maximum price deviation
+     * @return percentage one oracle update can move a price, 0 for no limit
+     */
+    function getMaxPriceDeviation() public view returns (uint256) {
+        return reserve.maxPriceDeviation;
+    }
+
+    /**
+     * @dev Getter function for how oracle values are combined into a price
+     * @return 0 for the latest value, 1 for the median, 2 for the time-weighted average
+     */
+    function getPriceAggregation() public view returns (uint256) {
+        return reserve.priceAggregation;
+    }
+
+    /**
+     * @dev Getter function for the number of oracle values aggregated
+     * @return number of recent values the median or average is taken over
+     */
+    function getPriceSamples() public view returns (uint256) {
+        return reserve.priceSamples;
+    }
+
+    /**
+     * @dev Getter function for the dispute window
+     * @return seconds an oracle value is ignored after it is reported
+     */
+    function getDisputeWindow() public view returns (uint256) {
+        return reserve.disputeWindow;
+    }
+
+    /**
+     * @dev Getter function for the oracle adapter the prices are read from
+     * @return oracle adapter address
+     */
+    function getOracleContract() public view returns (address) {
+        return reserve.oracleContract;
+    }
+
+    /**
+     * @dev Getter function for the interest period
+     * @return interest period in seconds
+     */
+    function getPeriod() public view returns (uint256) {
+        return reserve.period;
+    }
+
     /**
      * @dev Getter function for debt token address
      * @return debt token price
@@ -172,7 +276,20 @@ contract BankStorage {
      * @return collateral amount
      */
     function getVaultCollateralAmount() public view returns (uint256) {
-        return vaults[msg.sender].collateralAmount;
+        return getVaultCollateralAmountOf(msg.sender);
+    }
+
+    /**
+     * @dev Getter function for any vault's collateral amount
+     * @param vaultOwner the address of the vault
+     * @return collateral amount
+     */
+    function getVaultCollateralAmountOf(address vaultOwner)
+        public
+        view
+        returns (uint256)
+    {
+        return vaults[vaultOwner].collateralAmount;
     }
 
     /**
@@ -180,7 +297,20 @@ contract BankStorage {
      * @return debt amount
      */
     function getVaultDebtAmount() public view returns (uint256) {
-        return vaults[msg.sender].debtAmount;
+        return getVaultDebtAmountOf(msg.sender);
+    }
+
+    /**
+     * @dev Getter function for any vault's debt amount
+     * @param vaultOwner the address of the vault
+     * @return debt amount
+     */
+    function getVaultDebtAmountOf(address vaultOwner)
+        public
+        view
+        returns (uint256)
+    {
+        return vaults[vaultOwner].debtAmount;
     }
 
     /**
@@ -189,10 +319,24 @@ contract BankStorage {
      * @return principal debt amount
      */
     function getVaultRepayAmount() public view returns (uint256 principal) {
-        principal = vaults[msg.sender].debtAmount;
+        return getVaultRepayAmountOf(msg.sender);
+    }
+
+    /**
+     * @dev Getter function for any vault's debt amount with interest, so
+     *   keepers and the owner can see what a vault owes
+     * @param vaultOwner the address of the vault
+     * @return principal debt amount
+     */
+    function getVaultRepayAmountOf(address vaultOwner)
+        public
+        view
+        returns (uint256 principal)
+    {
+        principal = vaults[vaultOwner].debtAmount;
         uint256 periodsPerYear = 365 days / reserve.period;
         uint256 periodsElapsed = (block.timestamp / reserve.period) -
-            (vaults[msg.sender].createdAt / reserve.period);
+            (vaults[vaultOwner].createdAt / reserve.period);
         principal +=
             ((principal * reserve.interestRate) / 10000 / periodsPerYear) *
             periodsElapsed;
@@ -217,4 +361,52 @@ contract BankStorage {
                     debt.priceGranularity);
         }
     }
+
+    /**
+     * @dev Getter function for the reserve and token fields in one call, so
+     *   they are all read from the same block
+     * @return summary of the bank parameters, reserves, tokens and prices
+     */
+    function getBankSummary() public view returns (BankSummary memory summary) {
+        summary.interestRate = reserve.interestRate;
+        summary.originationFee = reserve.originationFee;
+        summary.collateralizationRatio = reserve.collateralizationRatio;
+        summary.liquidationPenalty = reserve.liquidationPenalty;
+        summary.period = reserve.period;
+        summary.reserveBalance = reserve.debtBalance;
+        summary.reserveCollateralBalance = reserve.collateralBalance;
+        summary.oracleContract = reserve.oracleContract;
+        summary.collateralTokenAddress = collateral.tokenAddress;
+        summary.collateralTokenPrice = collateral.price;
+        summary.collateralTokenPriceGranularity = collateral.priceGranularity;
+        summary.collateralTokenLastUpdatedAt = collateral.lastUpdatedAt;
+        summary.debtTokenAddress = debt.tokenAddress;
+        summary.debtTokenPrice = debt.price;
+        summary.debtTokenPriceGranularity = debt.priceGranularity;
+        summary.debtTokenLastUpdatedAt = debt.lastUpdatedAt;
+        summary.closeFactor = reserve.closeFactor;
+        summary.maxPriceAge = reserve.maxPriceAge;
+        summary.maxPriceDeviation = reserve.maxPriceDeviation;
+        summary.priceAggregation = reserve.priceAggregation;
+        summary.priceSamples = reserve.priceSamples;
+        summary.disputeWindow = reserve.disputeWindow;
+    }
+
+    /**
+     * @dev Getter function for a vault's fields in one call
+     * @param vaultOwner the address of the vault
+     * @return summary of the vault, with the repay amount and ratio at the current block
+     */
+    function getVaultSummary(address vaultOwner)
+        public
+        view
+        returns (VaultSummary memory summary)
+    {
+        summary.collateralAmount = getVaultCollateralAmountOf(vaultOwner);
+        summary.debtAmount = getVaultDebtAmountOf(vaultOwner);
+        summary.repayAmount = getVaultRepayAmountOf(vaultOwner);
+        summary.createdAt = vaults[vaultOwner].createdAt;
+        summary.collateralizationRatio = getVaultCollateralizationRatio(vaultOwner);
+        summary.timestamp = block.timestamp;
+    }
 }
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../oracles/AggregatorV3Interface.sol";
+
+contract MockAggregator is AggregatorV3Interface {
+    uint8 public override decimals;
+    int256 private _answer;
+    uint256 private _updatedAt;
+    uint80 private _roundId;
+
+    constructor(uint8 _decimals, int256 answer) {
+        decimals = _decimals;
+        setAnswer(answer);
+    }
+
+    function setAnswer(int256 answer) public {
+        _answer = answer;
+        _updatedAt = block.timestamp;
+        _roundId++;
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        return (_roundId, _answer, _updatedAt, _updatedAt, _roundId);
+    }
+}
@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./IPriceOracle.sol";
+import "./AggregatorV3Interface.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title ChainlinkAdapter
+ * Maps request IDs to Chainlink-style aggregators and reads their latest
+ * answer. Answers keep the aggregator's decimals, so a bank using a feed
+ * sets the token's price granularity to 10 ** decimals.
+ */
+contract ChainlinkAdapter is IPriceOracle, Ownable {
+    mapping(uint256 => address) public feeds;
+
+    event FeedUpdate(uint256 requestId, address aggregator);
+
+    /**
+     * @dev This function allows the owner to point a request ID at an aggregator
+     * @param requestId the ID banks use for the feed
+     * @param aggregator the aggregator address, 0 to remove the feed
+     */
+    function setFeed(uint256 requestId, address aggregator) external onlyOwner {
+        feeds[requestId] = aggregator;
+        emit FeedUpdate(requestId, aggregator);
+    }
+
+    function getCurrentValue(uint256 requestId)
+        external
+        view
+        override
+        returns (
+            bool ifRetrieve,
+            uint256 value,
+            uint256 timestamp
+        )
+    {
+        if (feeds[requestId] == address(0)) return (false, 0, 0);
+        (, int256 answer, , uint256 updatedAt, ) = AggregatorV3Interface(
+            feeds[requestId]
+        ).latestRoundData();
+        if (answer > 0) return (true, uint256(answer), updatedAt);
+        return (false, 0, updatedAt);
+    }
+
+    function oracleType() external pure override returns (string memory) {
+        return "Chainlink";
+    }
+}
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IPriceHistory
+ * Past values of a price feed, for adapters whose oracle keeps them. Bank
+ * reads them to take a median or time-weighted average price.
+ */
+interface IPriceHistory {
+    /**
+     * @dev Counts the values reported for a request ID
+     * @param requestId identifies the feed
+     * @return number of values, the newest at index count - 1
+     */
+    function getValueCount(uint256 requestId) external view returns (uint256);
+
+    /**
+     * @dev Gets a past value of a request ID
+     * @param requestId identifies the feed
+     * @param index of the value, from 0 for the oldest
+     * @return value reported, 0 if it was disputed away
+     * @return timestamp when the value was reported
+     */
+    function getValueAt(uint256 requestId, uint256 index)
+        external
+        view
+        returns (uint256 value, uint256 timestamp);
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IPriceOracle
+ * The price source a Bank reads its collateral and debt token prices from.
+ * Adapters wrap an oracle (Tellor, a Chainlink aggregator, a manual feed)
+ * behind the getCurrentValue call Bank was written against.
+ */
+interface IPriceOracle {
+    /**
+     * @dev Gets the latest value of a price feed
+     * @param requestId identifies the feed, the token's tellorRequestId in Bank
+     * @return ifRetrieve true if the feed has a nonzero value
+     * @return value the latest value
+     * @return timestamp when the value was reported
+     */
+    function getCurrentValue(uint256 requestId)
+        external
+        view
+        returns (
+            bool ifRetrieve,
+            uint256 value,
+            uint256 timestamp
+        );
+
+    /**
+     * @dev Getter function for the kind of oracle behind the adapter
+     * @return oracle type, e.g. "Tellor"
+     */
+    function oracleType() external view returns (string memory);
+}
@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./IPriceOracle.sol";
+import "./IPriceHistory.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title ManualAdapter
+ * Prices set by the adapter owner, for fixed prices such as a stablecoin
+ * pegged at $1 or for banks whose owner reports prices themselves
+ */
+contract ManualAdapter is IPriceOracle, IPriceHistory, Ownable {
+    struct Value {
+        uint256 value;
+        uint256 timestamp;
+    }
+
+    mapping(uint256 => Value[]) private _values;
+
+    event ValueUpdate(uint256 requestId, uint256 value);
+
+    /**
+     * @dev This function allows the owner to set the value of a request ID
+     * @param requestId the ID banks use for the price
+     * @param value the new value, 0 to make the price unavailable
+     */
+    function setValue(uint256 requestId, uint256 value) external onlyOwner {
+        _values[requestId].push(Value(value, block.timestamp));
+        emit ValueUpdate(requestId, value);
+    }
+
+    function getCurrentValue(uint256 requestId)
+        external
+        view
+        override
+        returns (
+            bool ifRetrieve,
+            uint256 value,
+            uint256 timestamp
+        )
+    {
+        uint256 _count = _values[requestId].length;
+        if (_count == 0) return (false, 0, 0);
+        Value storage current = _values[requestId][_count - 1];
+        return (current.value > 0, current.value, current.timestamp);
+    }
+
+    function getValueCount(uint256 requestId)
+        external
+        view
+        override
+        returns (uint256)
+    {
+        return _values[requestId].length;
+    }
+
+    function getValueAt(uint256 requestId, uint256 index)
+        external
+        view
+        override
+        returns (uint256 value, uint256 timestamp)
+    {
+        Value storage past = _values[requestId][index];
+        return (past.value, past.timestamp);
+    }
+
+    function oracleType() external pure override returns (string memory) {
+        return "Manual";
+    }
+}
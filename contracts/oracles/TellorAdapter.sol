@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./IPriceOracle.sol";
+import "./IPriceHistory.sol";
+import "../ITellor.sol";
+
+/**
+ * @title TellorAdapter
+ * Reads the values Tellor has for a request ID
+ */
+contract TellorAdapter is IPriceOracle, IPriceHistory {
+    ITellor public tellor;
+
+    constructor(address tellorAddress) {
+        tellor = ITellor(tellorAddress);
+    }
+
+    function getCurrentValue(uint256 requestId)
+        external
+        view
+        override
+        returns (
+            bool ifRetrieve,
+            uint256 value,
+            uint256 timestamp
+        )
+    {
+        uint256 _count = tellor.getNewValueCountbyRequestId(requestId);
+        if (_count == 0) return (false, 0, 0);
+        uint256 _time = tellor.getTimestampbyRequestIDandIndex(
+            requestId,
+            _count - 1
+        );
+        uint256 _value = tellor.retrieveData(requestId, _time);
+        if (_value > 0) return (true, _value, _time);
+        return (false, 0, _time);
+    }
+
+    function getValueCount(uint256 requestId)
+        external
+        view
+        override
+        returns (uint256)
+    {
+        return tellor.getNewValueCountbyRequestId(requestId);
+    }
+
+    function getValueAt(uint256 requestId, uint256 index)
+        external
+        view
+        override
+        returns (uint256 value, uint256 timestamp)
+    {
+        timestamp = tellor.getTimestampbyRequestIDandIndex(requestId, index);
+        value = tellor.retrieveData(requestId, timestamp);
+    }
+
+    function oracleType() external pure override returns (string memory) {
+        return "Tellor";
+    }
+}
@@ -1,7 +1,34 @@
 var Bank = artifacts.require("Bank");
 var BankFactory = artifacts.require("BankFactory");
+var TellorAdapter = artifacts.require("TellorAdapter");
+var IPriceOracle = artifacts.require("IPriceOracle");
 var CT = artifacts.require("GLDToken");
 var DT = artifacts.require("USDToken");
+var fs = require("fs");
+var path = require("path");
+
+// Read by the DApp to find the contracts on whichever chain the wallet is on
+var manifestPath = path.join(__dirname, "..", "src", "deployments.json");
+
+/**
+*@dev Records a deployment under its chain id, keeping the other chains' entries
+*/
+function writeManifest(chainId, deployment) {
+  let manifest = {};
+  if (fs.existsSync(manifestPath)) {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  }
+  manifest[chainId] = deployment;
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+*@dev Copies a contract's ABI next to the manifest, for the DApp served without build/contracts
+*/
+function writeAbi(contract) {
+  let abiPath = path.join(__dirname, "..", "src", contract.contractName + ".json");
+  fs.writeFileSync(abiPath, JSON.stringify({contractName: contract.contractName, abi: contract.abi}, null, 2) + "\n");
+}
 
 /**
 *@dev Use this for setting up contracts for testing
@@ -28,7 +55,13 @@ module.exports = async function (deployer, network, accounts) {
 
   if (network == "local" || network == "polygon") {
 
-    await deployer.deploy(Bank, tellorOracleAddress);
+    // The DApp scans for bank events from here instead of the genesis block
+    let deployedBlock = await web3.eth.getBlockNumber();
+
+    // Banks read prices through an adapter, this one wraps Tellor
+    await deployer.deploy(TellorAdapter, tellorOracleAddress);
+    let tellorAdapter = await TellorAdapter.deployed();
+    await deployer.deploy(Bank, tellorAdapter.address);
     let bank = await Bank.deployed();
     await deployer.deploy(BankFactory, bank.address);
     let bankFactory = await BankFactory.deployed();
@@ -36,17 +69,35 @@ module.exports = async function (deployer, network, accounts) {
     console.log("Bank owner", await bank.owner())
     console.log("Deployed");
     // TRB/DAI
-    let clone1 = await bankFactory.createBank("REX Bank", interestRate, originationFee, collateralizationRatio, liquidationPenalty, period, tellorOracleAddress);
+    let clone1 = await bankFactory.createBank("REX Bank", interestRate, originationFee, collateralizationRatio, liquidationPenalty, period, tellorAdapter.address);
     console.log("createBank")
-    let bankClone1 = await Bank.at(clone1.logs[0].args.newBankAddress);
+    let bankClone1 = await Bank.at(clone1.logs.find(log => log.event == "BankCreated").args.newBankAddress);
     await bankClone1.setCollateral(ricAddress, ricusdRequestId, priceGranularity, initialPriceRic);
     await bankClone1.setDebt(usdcxAddress, usdcusdRequestId, priceGranularity, initialPriceUsdc);
 
     console.log("BankFactory: " + bankFactory.address);
     console.log("Bank: " + bank.address);
+    console.log("TellorAdapter: " + tellorAdapter.address);
     console.log("REX Bank: " + bankClone1.address);
     console.log("Initial RIC Price:", (await bankClone1.getCollateralTokenPrice()).toString())
 
+    let chainId = await web3.eth.getChainId();
+    writeManifest(chainId, {
+      network: network,
+      bankFactory: bankFactory.address,
+      bank: bank.address,
+      banks: [bankClone1.address],
+      tokens: {
+        RIC: ricAddress,
+        USDCx: usdcxAddress
+      },
+      oracle: tellorAdapter.address,
+      tellor: tellorOracleAddress,
+      deployedBlock: deployedBlock
+    });
+    console.log("Deployment manifest: " + manifestPath + " (chain " + chainId + ")");
+    [Bank, BankFactory, IPriceOracle].forEach(writeAbi);
+
 
   }
 
@@ -0,0 +1,43 @@
+// Converts between the decimal strings users type and the integer base units
+// tokens are accounted in, without ever going through a float
+Amounts = {
+  toBaseUnits: function(value, decimals) {
+    var text = $.trim(String(value));
+    if (!/^[0-9]*\.?[0-9]*$/.test(text) || text == '' || text == '.') {
+      throw new Error("Invalid amount: " + value);
+    }
+    var parts = text.split('.');
+    var whole = parts[0] || '0';
+    var fraction = parts[1] || '';
+    if (fraction.length > decimals) {
+      throw new Error("Amount " + text + " has more than " + decimals + " decimal places");
+    }
+    while (fraction.length < decimals) {
+      fraction += '0';
+    }
+    return web3.toBigNumber(whole + fraction);
+  },
+
+  fromBaseUnits: function(amount, decimals) {
+    var digits = web3.toBigNumber(amount).toFixed(0);
+    while (digits.length <= decimals) {
+      digits = '0' + digits;
+    }
+    var whole = digits.slice(0, digits.length - decimals);
+    var fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+    return fraction ? whole + '.' + fraction : whole;
+  },
+
+  // Same as fromBaseUnits but truncated to a readable number of places
+  format: function(amount, decimals, places) {
+    var exact = Amounts.fromBaseUnits(amount, decimals);
+    var point = exact.indexOf('.');
+    if (places === undefined) {
+      places = 4;
+    }
+    if (point == -1 || exact.length - point - 1 <= places) {
+      return exact;
+    }
+    return places == 0 ? exact.slice(0, point) : exact.slice(0, point + places + 1);
+  }
+};
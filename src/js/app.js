@@ -1,14 +1,38 @@
 App = {
   web3Provider: null,
   contracts: {},
+  banks: [],
+  bankAddress: null,
+  isBankOwner: false,
+  hasWallet: false,
+  readOnly: true,
+  viewAccount: null,
+  // Vault shown in the dashboard, the wallet account or the one looked up
+  account: null,
+  watchedBank: null,
+  // deployments.json, chain id -> factory, featured banks, tokens and oracle
+  deployments: {},
+  deployment: null,
+  blockFilter: null,
+  eventFilter: null,
+  tokens: null,
+  vaultState: null,
+  // Basis points kept below the exact borrow capacity by the "Max" button,
+  // so interest or a price update landing first doesn't revert the borrow
+  borrowSafetyMargin: 100,
+  // Number of upcoming interest periods listed in the repayment schedule
+  scheduleLength: 30,
 
   init: async function() {
+    App.maxAllowance = new Web3().toBigNumber(2).pow(256).minus(1);
+    Transactions.init();
     return await App.initWeb3();
   },
 
   initWeb3: async function() {
     if (window.ethereum) {
       App.web3Provider = window.ethereum;
+      App.hasWallet = true;
       try {
         await window.ethereum.enable();
       } catch (error) {
@@ -17,33 +41,183 @@ App = {
     }
     else if (window.web3) {
       App.web3Provider = window.web3.currentProvider;
+      App.hasWallet = true;
+    }
+    else {
+      // Without a wallet the DApp is read-only, backed by the configured node
+      var rpcUrl = new URLSearchParams(window.location.search).get('rpc') || Config.rpcUrl;
+      console.log("No wallet found, reading from " + rpcUrl);
+      App.web3Provider = new Web3.providers.HttpProvider(rpcUrl);
     }
-    // else {
-    //   App.web3Provider = new Web3.providers.HttpProvider('https://rinkeby.infura.io/v3/');
-    // }
     web3 = new Web3(App.web3Provider);
+    if (window.ethereum && window.ethereum.on) {
+      window.ethereum.on('accountsChanged', App.handleAccountsChanged);
+      window.ethereum.on('chainChanged', App.handleChainChanged);
+    }
     return App.initContract();
   },
 
+  handleConnectWallet: function(event) {
+    event.preventDefault();
+
+    // accountsChanged re-renders once the wallet grants access
+    window.ethereum.enable().catch(function(error) {
+      console.error("User denied account access");
+    });
+  },
+
+  handleViewVault: function(event) {
+    event.preventDefault();
+
+    var address = $.trim($('.input-view-vault').val());
+    if (address && !web3.isAddress(address)) {
+      Transactions.fail("View vault", new Error("Invalid vault owner address: " + address));
+      return;
+    }
+    App.viewAccount = address || null;
+    App.vaultState = null;
+    App.renderBankUI();
+  },
+
+  handleClearViewVault: function(event) {
+    event.preventDefault();
+
+    $('.input-view-vault').val('');
+    App.viewAccount = null;
+    App.vaultState = null;
+    App.renderBankUI();
+  },
+
+  handleInspectVault: function(event) {
+    event.preventDefault();
+
+    $('.input-view-vault').val($(event.target).data('vault-owner'));
+    App.handleViewVault(event);
+    $('html, body').animate({scrollTop: $('#vault').offset().top});
+  },
+
+  handleAccountsChanged: function(accounts) {
+    console.log("Account changed: " + accounts[0]);
+    App.vaultState = null;
+    App.isBankOwner = false;
+    App.renderBankUI();
+  },
+
+  handleChainChanged: function(chainId) {
+    console.log("Network changed: " + chainId);
+    // Banks, tokens and blocks are all per network
+    App.banks = [];
+    App.bankAddress = null;
+    App.tokens = null;
+    App.tokenCache = {};
+    App.oracleCache = {};
+    App.blockTimes = {};
+    App.eventCache = {};
+    App.bankSummary = null;
+    App.vaultState = null;
+    App.deployment = null;
+    App.stopWatching();
+    App.renderBankList();
+    App.checkNetwork().then(function(deployed) {
+      if (deployed) {
+        App.loadBanks();
+      }
+    });
+  },
+
+  // Shows a blocking banner while the wallet is on a network without the
+  // bank deployment, and points the artifacts at the current network
+  checkNetwork: function() {
+    var getNetwork = new Promise(function(resolve, reject) {
+      web3.version.getNetwork(function(error, networkId) {
+        if (error) {
+          return reject(error);
+        }
+        resolve(networkId);
+      });
+    });
+    return Promise.all([getNetwork, App.getChainId()]).then(function(ids) {
+      var networkId = ids[0];
+      var chainId = ids[1];
+      Object.keys(App.contracts).forEach(function(name) {
+        App.contracts[name].setNetwork(networkId);
+      });
+      // The manifest wins, artifact networks cover a plain `truffle migrate`
+      App.deployment = App.deployments[chainId] || null;
+      var deployed = !!App.deployment || App.contracts.BankFactory.hasNetwork(networkId) || App.contracts.Bank.hasNetwork(networkId);
+      $('#networkBanner .networkId').text(chainId);
+      $('#networkBanner').toggle(!deployed);
+      App.renderDeployment();
+      return deployed;
+    }).catch(function(err) {
+      console.log(err);
+      return false;
+    });
+  },
+
+  // web3 0.20 predates eth_chainId, so ask the provider directly
+  getChainId: function() {
+    return new Promise(function(resolve, reject) {
+      App.web3Provider.sendAsync({jsonrpc: '2.0', id: Date.now(), method: 'eth_chainId', params: []}, function(error, response) {
+        if (error || response.error) {
+          return reject(error || new Error(response.error.message));
+        }
+        resolve(parseInt(response.result, 16).toString());
+      });
+    });
+  },
+
+  loadDeployments: function() {
+    return new Promise(function(resolve) {
+      $.getJSON('deployments.json', resolve).fail(function() {
+        console.log("No deployments.json, using artifact networks");
+        resolve({});
+      });
+    }).then(function(deployments) {
+      App.deployments = deployments;
+      return deployments;
+    });
+  },
+
+  // Offers the manifest's oracle and tokens in the create bank form
+  renderDeployment: function() {
+    var form = $('#createBankForm');
+    var tokens = $('#deploymentTokens');
+    tokens.empty();
+    if (!App.deployment) {
+      return;
+    }
+    Object.keys(App.deployment.tokens || {}).forEach(function(symbol) {
+      tokens.append($('<option>').attr('value', App.deployment.tokens[symbol]).text(symbol));
+    });
+    var oracle = form.find('[name=oracleAddress]');
+    if (App.deployment.oracle && !oracle.val()) {
+      oracle.val(App.deployment.oracle);
+    }
+  },
 
   initContract: function() {
     $.getJSON('Bank.json', function(data) {
       var BankArtifact = data;
       App.contracts.Bank = TruffleContract(BankArtifact);
       App.contracts.Bank.setProvider(App.web3Provider);
-      // TODO: Should be env for filenames
-      return $.getJSON('DAI.json', function(dt) {
-        var DT = dt;
-        console.log(dt);
-        App.contracts.DT = TruffleContract(DT);
-        App.contracts.DT.setProvider(App.web3Provider);
-        // TODO: Should be env for filenames
-        return $.getJSON('Tellor.json', function(ct) {
-          var CT = ct;
-          console.log(ct);
-          App.contracts.CT = TruffleContract(CT);
-          App.contracts.CT.setProvider(App.web3Provider);
-          return App.renderBankUI();
+      // Every bank has its own token pair, so tokens share a generic ERC20 ABI
+      return $.getJSON('ERC20.json', function(erc20) {
+        App.contracts.ERC20 = TruffleContract(erc20);
+        App.contracts.ERC20.setProvider(App.web3Provider);
+        return $.getJSON('BankFactory.json', function(bankFactory) {
+          App.contracts.BankFactory = TruffleContract(bankFactory);
+          App.contracts.BankFactory.setProvider(App.web3Provider);
+          // Banks share the adapter interface whatever oracle is behind it
+          return $.getJSON('IPriceOracle.json', function(priceOracle) {
+            App.contracts.PriceOracle = TruffleContract(priceOracle);
+            App.contracts.PriceOracle.setProvider(App.web3Provider);
+            return App.loadDeployments().then(App.checkNetwork).then(function(deployed) {
+              if (deployed) {
+                return App.loadBanks();
+              }
+            });
+          });
         });
       });
     });
@@ -57,107 +231,584 @@ App = {
     $(document).on('click', '.btn-borrow', App.handleBorrow);
     $(document).on('click', '.btn-repay', App.handleRepay);
     $(document).on('click', '.btn-withdraw', App.handleWithdraw);
+    $(document).on('click', '.btn-borrow-max', App.handleBorrowMax);
+    $(document).on('input', '.input-borrow', App.renderBorrowPreview);
+    $(document).on('click', '.btn-withdraw-max', App.handleWithdrawMax);
+    $(document).on('input', '.input-withdraw', App.renderWithdrawPreview);
     $(document).on('click', '.btn-dt-approve', App.handleDTApprove);
     $(document).on('click', '.btn-ct-approve', App.handleCTApprove);
+    $(document).on('click', '.btn-select-bank', App.handleSelectBank);
+    $(document).on('click', '.btn-connect-wallet', App.handleConnectWallet);
+    $(document).on('click', '.btn-view-vault', App.handleViewVault);
+    $(document).on('click', '.btn-clear-view-vault', App.handleClearViewVault);
+    $(document).on('click', '.btn-inspect-vault', App.handleInspectVault);
+    $(document).on('input', '.input-price-shock', App.renderPriceShock);
+    $(document).on('click', '.btn-reset-price-shock', App.handleResetPriceShock);
+    $(document).on('click', '.btn-export-history', App.handleExportHistory);
+    $(document).on('click', '.btn-create-bank', App.handleCreateBank);
+    // Bind Owner events to buttons
+    $(document).on('click', '.btn-reserve-deposit', App.handleReserveDeposit);
+    $(document).on('click', '.btn-reserve-withdraw', App.handleReserveWithdraw);
+    $(document).on('click', '.btn-reserve-withdraw-collateral', App.handleReserveWithdrawCollateral);
+    $(document).on('click', '.btn-update-collateral-price', App.handleUpdateCollateralPrice);
+    $(document).on('click', '.btn-update-debt-price', App.handleUpdateDebtPrice);
+    $(document).on('click', '.btn-set-close-factor', App.handleSetCloseFactor);
+    $(document).on('click', '.btn-set-price-guards', App.handleSetPriceGuards);
+    $(document).on('click', '.btn-set-price-aggregation', App.handleSetPriceAggregation);
+    $(document).on('click', '.btn-liquidate', App.handleLiquidate);
+    $(document).on('click', '.btn-refresh-monitor', App.handleRefreshMonitor);
+    $(document).on('input', '.input-reserve-withdraw, .input-reserve-withdraw-collateral', App.handleReserveWithdrawPreview);
+  },
+
+  // Returns the Bank instance every panel renders against: the clone picked
+  // in the bank list, or the migrated Bank when the factory has no clones.
+  getBank: function() {
+    if (App.bankAddress) {
+      return App.contracts.Bank.at(App.bankAddress);
+    }
+    if (App.deployment && App.deployment.banks && App.deployment.banks.length > 0) {
+      return App.contracts.Bank.at(App.deployment.banks[0]);
+    }
+    return App.contracts.Bank.deployed();
+  },
+
+  getBankFactory: function() {
+    if (App.deployment) {
+      return App.contracts.BankFactory.at(App.deployment.bankFactory);
+    }
+    return App.contracts.BankFactory.deployed();
+  },
+
+  isFeatured: function(address) {
+    var featured = (App.deployment && App.deployment.banks) || [];
+    return featured.some(function(bank) {
+      return bank.toLowerCase() == address.toLowerCase();
+    });
+  },
+
+  // Token metadata labels every panel and converts every amount shown or
+  // sent, it never changes so it is read once per token address
+  loadToken: function(address) {
+    App.tokenCache = App.tokenCache || {};
+    if (!App.tokenCache[address]) {
+      var token = App.contracts.ERC20.at(address);
+      // name(), symbol() and decimals() are optional in ERC20
+      App.tokenCache[address] = Promise.all([
+        token.symbol.call().catch(function() {
+          return App.shortAddress(address);
+        }),
+        token.name.call().catch(function() {
+          return '';
+        }),
+        token.decimals.call().catch(function() {
+          return 18;
+        })
+      ]).then(function(values) {
+        return {address: address, symbol: values[0], name: values[1], decimals: Number(values[2])};
+      });
+    }
+    return App.tokenCache[address];
+  },
+
+  // Oracle adapters are immutable like tokens, so their type is read once
+  loadOracle: function(address) {
+    App.oracleCache = App.oracleCache || {};
+    if (!App.oracleCache[address]) {
+      // Banks created before adapters point straight at an oracle
+      App.oracleCache[address] = App.contracts.PriceOracle.at(address).then(function(oracle) {
+        return oracle.oracleType.call();
+      }).catch(function() {
+        return 'Unknown';
+      }).then(function(type) {
+        return {address: address, type: type};
+      });
+    }
+    return App.oracleCache[address];
+  },
+
+  loadTokens: function(summary) {
+    return Promise.all([summary.collateralTokenAddress, summary.debtTokenAddress].map(App.loadToken)).then(function(tokens) {
+      App.tokens = {collateral: tokens[0], debt: tokens[1]};
+      $('.collateralSymbol').text(App.tokens.collateral.symbol);
+      $('.collateralName').text(App.tokens.collateral.name);
+      $('.debtSymbol').text(App.tokens.debt.symbol);
+      $('.debtName').text(App.tokens.debt.name);
+      return App.tokens;
+    });
+  },
+
+  loadBanks: function() {
+    var factoryInstance;
+
+    App.getBankFactory().then(function(instance) {
+      factoryInstance = instance;
+      return factoryInstance.getNumberOfBanks.call();
+    }).then(function(numberOfBanks) {
+      console.log("Number of banks: " + numberOfBanks.toString());
+      var addresses = [];
+      for (var i = 0; i < numberOfBanks.toNumber(); i++) {
+        addresses.push(factoryInstance.getBankAddressAtIndex.call(i));
+      }
+      return Promise.all(addresses);
+    }).then(function(addresses) {
+      // Featured banks first, including any the factory didn't create
+      var featured = ((App.deployment && App.deployment.banks) || []).filter(function(address) {
+        return !addresses.some(function(other) {
+          return other.toLowerCase() == address.toLowerCase();
+        });
+      });
+      // One unreadable bank only drops its own row
+      return Promise.all(featured.concat(addresses).map(function(address) {
+        return App.loadBankDetails(address).catch(function(err) {
+          console.log("Skipping bank " + address, err);
+          return null;
+        });
+      }));
+    }).then(function(banks) {
+      banks = banks.filter(function(bank) {
+        return bank;
+      });
+      banks.sort(function(a, b) {
+        return b.featured - a.featured;
+      });
+      App.banks = banks;
+      var requested = window.location.hash.substring(1).toLowerCase();
+      var supported = banks.filter(function(bank) {
+        return !bank.unsupported;
+      });
+      var selected = supported.find(function(bank) {
+        return bank.address.toLowerCase() == requested;
+      });
+      if (selected) {
+        App.bankAddress = selected.address;
+      } else if (!App.bankAddress && supported.length > 0) {
+        App.bankAddress = supported[0].address;
+      }
+      App.renderBankList();
+      return App.renderBankUI();
+    }).catch(function(err) {
+      console.log(err);
+      return App.renderBankUI();
+    });
+  },
+
+  loadBankDetails: function(address) {
+    var bankInstance;
+    return App.contracts.Bank.at(address).then(function(instance) {
+      bankInstance = instance;
+      return Promise.all([instance.getName.call(), Summary.bank(instance)]);
+    }).then(function(values) {
+      var summary = values[1];
+      return Promise.all([App.loadToken(summary.collateralTokenAddress), App.loadToken(summary.debtTokenAddress),
+        App.loadOracle(summary.oracleContract)]).then(function(loaded) {
+        return {
+          address: address,
+          featured: App.isFeatured(address),
+          name: values[0],
+          collateralTokenAddress: summary.collateralTokenAddress,
+          debtTokenAddress: summary.debtTokenAddress,
+          interestRate: summary.interestRate,
+          originationFee: summary.originationFee,
+          collateralizationRatio: summary.collateralizationRatio,
+          liquidationPenalty: summary.liquidationPenalty,
+          reserveBalance: summary.reserveBalance,
+          collateralToken: loaded[0],
+          debtToken: loaded[1],
+          oracle: loaded[2]
+        };
+      });
+    }).catch(function(err) {
+      if (!err.unsupported) {
+        throw err;
+      }
+      // Listed so they don't go missing, but the DApp can't operate them
+      return bankInstance.getName.call().catch(function() {
+        return App.shortAddress(address);
+      }).then(function(name) {
+        return {address: address, featured: App.isFeatured(address), name: name, unsupported: true};
+      });
+    });
+  },
+
+  renderBankList: function() {
+    var bankList = $('#bankList tbody');
+    bankList.empty();
+    $('#banks .bankCount').text(App.banks.length);
+
+    App.banks.forEach(function(bank) {
+      var row = $('<tr>');
+      if (bank.address == App.bankAddress) {
+        row.addClass('info');
+      }
+      row.append($('<td>').text(bank.name).append(bank.featured ? ' <span class="label label-primary">Featured</span>' : ''));
+      if (bank.unsupported) {
+        row.addClass('text-muted');
+        row.append($('<td colspan="7">').text("Deployed before bank summaries, not supported by this DApp"));
+        row.append($('<td>').append('<span class="label label-default">Unsupported</span>'));
+        bankList.append(row);
+        return;
+      }
+      row.append($('<td>').text(bank.collateralToken.symbol + ' / ' + bank.debtToken.symbol));
+      row.append($('<td>').text(bank.interestRate / 100 + '%'));
+      row.append($('<td>').text(bank.originationFee / 100 + '%'));
+      row.append($('<td>').text(bank.collateralizationRatio + '%'));
+      row.append($('<td>').text(bank.liquidationPenalty + '%'));
+      row.append($('<td>').text(Amounts.format(bank.reserveBalance, bank.debtToken.decimals) + ' ' + bank.debtToken.symbol));
+      row.append($('<td>').text(bank.oracle.type).attr('title', bank.oracle.address));
+      row.append($('<td>').append(
+        $('<button class="btn btn-default btn-xs btn-select-bank" type="button">Select</button>')
+          .attr('data-address', bank.address)
+          .prop('disabled', bank.address == App.bankAddress)
+      ));
+      bankList.append(row);
+    });
+  },
+
+  shortAddress: function(address) {
+    return address.substring(0, 6) + '...' + address.substring(address.length - 4);
+  },
+
+  handleSelectBank: function(event) {
+    event.preventDefault();
+
+    App.bankAddress = $(event.target).data('address');
+    window.location.hash = App.bankAddress;
+    App.renderBankList();
+    App.renderBankUI();
   },
 
   renderBankUI: async function(owners, account) {
     var bankInstance;
+    var bank;
 
     web3.eth.getAccounts(function(error, accounts) {
       if (error) {
         console.log(error);
       }
+      accounts = accounts || [];
 
-      var account = accounts[0];
+      // A node's unlocked accounts are not the visitor's, only a wallet can sign
+      App.readOnly = !App.hasWallet || accounts.length == 0;
+      var wallet = App.readOnly ? null : accounts[0];
+      var account = App.viewAccount || wallet;
+      App.account = account;
+      // Transactions always come from the wallet, so they are off while
+      // someone else's vault is shown
+      App.inspecting = !!App.viewAccount && (!wallet || App.viewAccount.toLowerCase() != wallet.toLowerCase());
+      $('.requires-wallet').prop('disabled', App.readOnly || App.inspecting);
+      // Liquidations act on any vault, like the monitor's row buttons
+      $('.requires-signer').prop('disabled', App.readOnly);
+      $('#readOnlyNotice').toggle(App.readOnly);
+      $('#readOnlyNotice .btn-connect-wallet').toggle(App.hasWallet);
+      $('.btn-clear-view-vault').toggle(!!App.viewAccount);
+      $('.vaultTitle').text(App.inspecting ? 'Vault ' + App.shortAddress(account) : 'Your Vault');
       var vaultPanel = $('#vaultPanel');
-      var vaultActionsPanel = $('#vaultActionsPanel');
       var reservePanel = $('#reservePanel');
       $('.input-deposit').val('');
       $('.input-borrow').val('');
       $('.input-repay').val('');
       $('.input-withdraw').val('');
 
-      App.contracts.Bank.deployed().then(function(instance) {
+      App.getBank().then(function(instance) {
         bankInstance = instance;
+        return App.readBank(bankInstance);
+      }).then(function(snapshot) {
+        bank = snapshot;
+        return App.loadTokens(bank.summary);
+      }).then(function(tokens) {
         console.log("Starting");
+        $('.bankAddress').text(bankInstance.address);
+        App.watchBank(bankInstance);
 
-        bankInstance.getDebtTokenPrice.call().then(function(debtTokenPrice){
-          bankInstance.getDebtTokenPriceGranularity.call().then(function(debtTokenPriceGranularity){
-            console.log("Reserve debtTokenPrice: " + debtTokenPrice.toString());
-            reservePanel.find('.debtTokenPrice').text(debtTokenPrice/debtTokenPriceGranularity);
-          });
-        });
-        bankInstance.getCollateralTokenPrice.call().then(function(collateralTokenPrice){
-          bankInstance.getCollateralTokenPriceGranularity.call().then(function(collateralTokenPriceGranularity){
-            console.log("Reserve collateralTokenPrice: " + collateralTokenPrice.toString());
-            reservePanel.find('.collateralTokenPrice').text(collateralTokenPrice/collateralTokenPriceGranularity);
-          });
-        });
-        bankInstance.getInterestRate.call().then(function(interestRate){
-          console.log("Reserve interestRate: " + interestRate.toString());
-          reservePanel.find('.interestRate').text(interestRate);
-        });
-        bankInstance.getOriginationFee.call().then(function(originationFee){
-          console.log("Reserve originationFee: " + originationFee.toString());
-          reservePanel.find('.originationFee').text(originationFee);
+        bankInstance.getName.call().then(function(name){
+          reservePanel.find('.bankName').text(name);
         });
-        bankInstance.getCollateralizationRatio.call().then(function(collateralizationRatio){
-          console.log("Reserve collateralizationRatio: " + collateralizationRatio.toString());
-          reservePanel.find('.collateralizationRatio').text(collateralizationRatio);
-        });
-        bankInstance.getLiquidationPenalty.call().then(function(liquidationPenalty){
-          console.log("Reserve liquidationPenalty: " + liquidationPenalty.toString());
-          reservePanel.find('.liquidationPenalty').text(liquidationPenalty);
-        });
-        bankInstance.getReserveBalance.call().then(function(reserveBalance){
-          console.log("Reserve: " + reserveBalance.toString());
-          reservePanel.find('.debtReserveBalance').text(reserveBalance/1e18);
-        });
-        bankInstance.getVaultCollateralAmount.call().then(function(collateral){
-          console.log(collateral.toString());
-          vaultPanel.find('.collateralAmount').text(collateral/1e18);
-        });
-        
-        bankInstance.getVaultRepayAmount.call().then(function(debt){
-          console.log(debt.toString());
-          $('.input-repay').val((debt/1e18).toFixed(18));
-          $('.input-dt-approve').val((debt/1e18).toFixed(18));
-          vaultPanel.find('.debtAmount').text((debt/1e18).toFixed(18));
+
+        App.renderReserve(tokens, bank);
+        bankInstance.owner.call().then(function(owner){
+          App.isBankOwner = !!wallet && owner.toLowerCase() == wallet.toLowerCase();
+          App.renderAdminPanel(App.isBankOwner, bank.summary);
+          App.renderLiquidationMonitor(bankInstance, bank);
         });
-        bankInstance.getVaultCollateralizationRatio.call(account).then(function(ratio){
-          console.log(ratio);
-          vaultPanel.find('.collateralizationRatio').text((ratio/100).toString() + '%');
+        if (!account) {
+          // Read-only and no vault looked up yet
+          App.vaultState = null;
+          vaultPanel.find('.collateralAmount, .debtAmount, .collateralizationRatio').text('-');
+          return;
+        }
+
+        App.renderVault(bankInstance, tokens, account, bank).then(function(state) {
+          // Exact amount so that repaying it clears the vault without dust
+          $('.input-repay').val(Amounts.fromBaseUnits(state.repayAmount, tokens.debt.decimals));
+          $('.input-dt-approve').val(Amounts.fromBaseUnits(state.repayAmount, tokens.debt.decimals));
+        }).catch(function(err) {
+          console.log(err);
         });
+        App.renderHistory(bankInstance, account);
+        App.renderBalances(bankInstance, tokens, account);
       }).catch(function(err) {
         console.log(err);
       });
+    });
+  },
 
-      App.contracts.DT.deployed().then(function(instance) {
-        instance.balanceOf(account).then(function(dtBalance){
-          console.log("Debt Token Balance: " + (1.0*dtBalance)/1e18);
-          vaultActionsPanel.find('.debtTokenBalance').text((1.0*dtBalance)/1e18);
-        });
-      }).catch(function(err) {
-        console.log(err);
+  // The bank summary every panel of one render shares, read at a single
+  // block so the panels agree with each other
+  readBank: function(bankInstance) {
+    return App.getBlockNumber().then(function(block) {
+      return Summary.bank(bankInstance, block).then(function(summary) {
+        return {block: block, summary: summary};
       });
+    });
+  },
 
-      App.contracts.CT.deployed().then(function(instance) {
-        instance.balanceOf(account).then(function(ctBalance){
-          console.log("Collateral Token Balance: " + ctBalance.toString());
-          vaultActionsPanel.find('.collateralTokenBalance').text(Math.round((1.0*ctBalance)/1e18, 4));
-        });
-      }).catch(function(err) {
-        console.log(err);
-      })
+  // Reserve panel, refreshed on bank events
+  renderReserve: function(tokens, bank) {
+    var reservePanel = $('#reservePanel');
+    var summary = bank.summary;
+
+    // Kept for the price ages new blocks refresh
+    App.bankSummary = summary;
+    console.log("Reserve: " + summary.reserveBalance.toString());
+    reservePanel.find('.debtTokenPrice').text(summary.debtTokenPrice / summary.debtTokenPriceGranularity);
+    reservePanel.find('.collateralTokenPrice').text(summary.collateralTokenPrice / summary.collateralTokenPriceGranularity);
+    reservePanel.find('.interestRate').text(summary.interestRate / 100);
+    reservePanel.find('.originationFee').text(summary.originationFee / 100);
+    reservePanel.find('.collateralizationRatio').text(summary.collateralizationRatio.toString());
+    reservePanel.find('.liquidationPenalty').text(summary.liquidationPenalty.toString());
+    $('#reservePanel, #monitorPanel').find('.closeFactor').text(summary.closeFactor.toString());
+    App.renderPriceStatus(summary, bank.block);
+    App.loadOracle(summary.oracleContract).then(function(oracle) {
+      reservePanel.find('.oracleType').text(oracle.type);
+      reservePanel.find('.oracleAddress').text(oracle.address);
+    });
+    reservePanel.find('.debtReserveBalance').text(Amounts.format(summary.reserveBalance, tokens.debt.decimals));
+  },
+
+  // Age of each oracle price and whether the bank still accepts it, as
+  // Bank._requireValidPrices decides for borrows, withdrawals and liquidations
+  renderPriceStatus: function(summary, block) {
+    var reservePanel = $('#reservePanel');
+    var maxPriceAge = summary.maxPriceAge.toNumber();
+
+    reservePanel.find('.priceSource').text(App.describePriceSource(summary));
+    reservePanel.find('.priceGuards').text(
+      (maxPriceAge ? 'prices expire after ' + App.formatDuration(maxPriceAge) : 'prices never expire') + ', ' +
+      (summary.maxPriceDeviation.isZero() ? 'updates are not capped' : 'updates move a price at most ' + summary.maxPriceDeviation + '%')
+    );
+    App.getBlockTime(block).then(function(now) {
+      App.renderPriceAges(summary, now);
+    }).catch(function(err) {
+      console.log(err);
+    });
+  },
+
+  renderPriceAges: function(summary, now) {
+    var reservePanel = $('#reservePanel');
+    var maxPriceAge = summary.maxPriceAge.toNumber();
+
+    ['collateral', 'debt'].forEach(function(token) {
+      var price = summary[token + 'TokenPrice'];
+      var updatedAt = summary[token + 'TokenLastUpdatedAt'].toNumber();
+      var age = Math.max(0, now - updatedAt);
+      var status = price.isZero() ? 'missing' : maxPriceAge && age > maxPriceAge ? 'stale' : 'valid';
+      reservePanel.find('.priceAge[data-token=' + token + ']').text(updatedAt ? App.formatDuration(age) + ' ago' : 'never');
+      reservePanel.find('.priceStatus[data-token=' + token + ']')
+        .attr('class', 'label priceStatus ' + {valid: 'label-success', stale: 'label-danger', missing: 'label-danger'}[status])
+        .text({valid: 'Valid', stale: 'Stale', missing: 'Missing'}[status]);
+    });
+  },
+
+  // Bank.getAggregatedValue in words
+  describePriceSource: function(summary) {
+    var aggregation = summary.priceAggregation.toNumber();
+    var samples = summary.priceSamples.toNumber();
+    var disputeWindow = summary.disputeWindow.toNumber();
+    var source = aggregation == 0 || samples == 1 ? 'latest oracle value' :
+      (aggregation == 1 ? 'median' : 'time-weighted average') + ' of the last ' + samples + ' oracle values';
+    return source + (disputeWindow ? ' older than ' + App.formatDuration(disputeWindow) : '');
+  },
+
+  formatDuration: function(seconds) {
+    var units = [['d', 86400], ['h', 3600], ['min', 60]];
+    var parts = [];
+    units.forEach(function(unit) {
+      if (seconds >= unit[1] && parts.length < 2) {
+        parts.push(Math.floor(seconds / unit[1]) + ' ' + unit[0]);
+        seconds = seconds % unit[1];
+      }
+    });
+    return parts.length ? parts.join(' ') : seconds + ' s';
+  },
+
+  // Vault figures and the previews built on them, refreshed on bank events
+  renderVault: function(bankInstance, tokens, account, bank) {
+    return App.loadVaultState(bankInstance, account, bank).then(function(state) {
+      $('#vaultPanel').find('.collateralAmount').text(Amounts.format(state.collateralAmount, tokens.collateral.decimals));
+      App.renderVaultFigures();
+      return state;
+    });
+  },
+
+  // Everything that follows from the repay amount, which new blocks accrue
+  renderVaultFigures: function() {
+    var vaultPanel = $('#vaultPanel');
+    var state = App.vaultState;
+
+    vaultPanel.find('.debtAmount').text(Amounts.fromBaseUnits(state.repayAmount, App.tokens.debt.decimals));
+    vaultPanel.find('.collateralizationRatio').text(state.debtAmount.isZero() ? '-' : state.ratio.dividedBy(100).toFixed(2) + '%');
+    App.renderVaultHealth();
+    App.renderPriceShock();
+    App.renderBorrowPreview();
+    App.renderWithdrawPreview();
+    App.renderInterestProjection();
+  },
+
+  renderBalances: function(bankInstance, tokens, account) {
+    var vaultActionsPanel = $('#vaultActionsPanel');
+
+    App.contracts.ERC20.at(tokens.debt.address).then(function(instance) {
+      instance.balanceOf(account).then(function(dtBalance){
+        console.log("Debt Token Balance: " + dtBalance.toString());
+        vaultActionsPanel.find('.debtTokenBalance').text(Amounts.format(dtBalance, tokens.debt.decimals));
+      });
+      instance.allowance(account, bankInstance.address).then(function(allowance){
+        vaultActionsPanel.find('.debtAllowance').text(App.formatAllowance(allowance, tokens.debt.decimals));
+      });
+    }).catch(function(err) {
+      console.log(err);
+    });
+
+    App.contracts.ERC20.at(tokens.collateral.address).then(function(instance) {
+      instance.balanceOf(account).then(function(ctBalance){
+        console.log("Collateral Token Balance: " + ctBalance.toString());
+        vaultActionsPanel.find('.collateralTokenBalance').text(Amounts.format(ctBalance, tokens.collateral.decimals));
+      });
+      instance.allowance(account, bankInstance.address).then(function(allowance){
+        vaultActionsPanel.find('.collateralAllowance').text(App.formatAllowance(allowance, tokens.collateral.decimals));
+      });
+    }).catch(function(err) {
+      console.log(err);
+    });
+  },
+
+  // Keeps the dashboard current while the page is open: new blocks refresh
+  // only what changes with time (the accrued repay amount and the price
+  // ages), and bank events re-render the panels they change
+  watchBank: function(bankInstance) {
+    if (App.watchedBank == bankInstance.address) {
+      return;
+    }
+    App.stopWatching();
+    App.watchedBank = bankInstance.address;
+
+    App.blockFilter = web3.eth.filter('latest');
+    App.blockFilter.watch(function(error, blockHash) {
+      if (error) {
+        return console.log(error);
+      }
+      App.handleNewBlock(bankInstance);
+    });
+    App.eventFilter = bankInstance.allEvents({fromBlock: 'latest'});
+    App.eventFilter.watch(function(error, log) {
+      if (error) {
+        return console.log(error);
+      }
+      App.handleBankEvent(bankInstance, log);
+    });
+  },
+
+  stopWatching: function() {
+    [App.blockFilter, App.eventFilter].forEach(function(filter) {
+      if (filter) {
+        filter.stopWatching(function() {});
+      }
+    });
+    App.blockFilter = null;
+    App.eventFilter = null;
+    App.watchedBank = null;
+  },
+
+  handleNewBlock: function(bankInstance) {
+    if (!App.tokens) {
+      return;
+    }
+    App.getBlockTime('latest').then(function(now) {
+      if (App.bankSummary) {
+        App.renderPriceAges(App.bankSummary, now);
+      }
+      var state = App.vaultState;
+      if (!state) {
+        return;
+      }
+      // Interest accrues once per whole period, so most blocks change nothing
+      var repayAmount = VaultMath.repayAmountAt(state, now);
+      state.timestamp = web3.toBigNumber(now);
+      if (repayAmount.equals(state.repayAmount)) {
+        return;
+      }
+      // The ratio is on the stored debt, so only the repay amount moves
+      state.repayAmount = repayAmount;
+      App.renderVaultFigures();
+    }).catch(function(err) {
+      console.log(err);
+    });
+  },
 
+  handleBankEvent: function(bankInstance, log) {
+    console.log("Bank event: " + log.event);
+    if (!App.tokens) {
+      return;
+    }
+    var tokens = App.tokens;
+    var account = App.account && App.account.toLowerCase();
+
+    App.readBank(bankInstance).then(function(bank) {
+      // Prices, the reserve, the bank settings and vault changes all feed
+      // the vault previews
+      if (App.account) {
+        App.renderVault(bankInstance, tokens, App.account, bank).catch(function(err) {
+          console.log(err);
+        });
+      }
+      if (App.isBankOwner) {
+        App.renderAdminBalances(bank.summary);
+      }
+      switch (log.event) {
+        case 'PriceUpdate':
+          App.renderReserve(tokens, bank);
+          App.renderLiquidationMonitor(bankInstance, bank);
+          break;
+        case 'ReserveDeposit':
+        case 'ReserveWithdraw':
+        case 'CloseFactorUpdate':
+        case 'PriceGuardsUpdate':
+        case 'PriceAggregationUpdate':
+          App.renderReserve(tokens, bank);
+          break;
+        default:
+          var fields = App.historyEvents[log.event];
+          if (!fields) {
+            return;
+          }
+          // Borrows and repays move the reserve, every vault event can move
+          // a vault into or out of the monitor
+          App.renderReserve(tokens, bank);
+          App.renderLiquidationMonitor(bankInstance, bank);
+          if (account && log.args[fields.account].toLowerCase() == account) {
+            App.renderHistory(bankInstance, App.account);
+            App.renderBalances(bankInstance, tokens, App.account);
+          }
+      }
+    }).catch(function(err) {
+      console.log(err);
     });
   },
 
   handleDeposit: function(event) {
     event.preventDefault();
 
-    var depositAmount = parseFloat($('.input-deposit').val());
+    var depositAmount = $('.input-deposit').val();
     console.log(depositAmount)
     var bankInstance;
 
@@ -166,14 +817,17 @@ App = {
         console.log(error);
       }
       var account = accounts[0];
-      App.contracts.Bank.deployed().then(function(instance) {
+      App.getBank().then(function(instance) {
         bankInstance = instance;
-        return bankInstance.vaultDeposit(depositAmount*1e18, {from: account});
+        var amount = Amounts.toBaseUnits(depositAmount, App.tokens.collateral.decimals);
+        return App.ensureAllowance('collateral', bankInstance, account, amount).then(function() {
+          return Transactions.send("Deposit " + App.tokens.collateral.symbol, bankInstance.vaultDeposit, [amount], {from: account});
+        });
       }).then(function(results) {
         App.renderBankUI();
         console.log(results);
       }).catch(function(err) {
-        console.log(err.message);
+        Transactions.fail("Deposit", err);
       });
     });
   },
@@ -181,7 +835,7 @@ App = {
   handleBorrow: function(event) {
     event.preventDefault();
 
-    var borrowAmount = parseFloat($('.input-borrow').val());
+    var borrowAmount = $('.input-borrow').val();
     console.log(borrowAmount)
     var bankInstance;
 
@@ -190,15 +844,16 @@ App = {
         console.log(error);
       }
       var account = accounts[0];
-      App.contracts.Bank.deployed().then(function(instance) {
+      App.getBank().then(function(instance) {
         bankInstance = instance;
-        console.log("Borrowing DAI:" + borrowAmount*1e18);
-        return bankInstance.vaultBorrow(borrowAmount*1e18, {from: account});
+        var amount = Amounts.toBaseUnits(borrowAmount, App.tokens.debt.decimals);
+        console.log("Borrowing " + App.tokens.debt.symbol + ": " + amount.toString());
+        return Transactions.send("Borrow " + App.tokens.debt.symbol, bankInstance.vaultBorrow, [amount], {from: account});
       }).then(function(results) {
         App.renderBankUI();
         console.log(results);
       }).catch(function(err) {
-        console.log(err.message);
+        Transactions.fail("Borrow", err);
       });
     });
   },
@@ -206,7 +861,7 @@ App = {
   handleRepay: function(event) {
     event.preventDefault();
 
-    var repayAmount = parseFloat($('.input-repay').val());
+    var repayAmount = $('.input-repay').val();
     console.log(repayAmount)
     var bankInstance;
 
@@ -215,15 +870,18 @@ App = {
         console.log(error);
       }
       var account = accounts[0];
-      App.contracts.Bank.deployed().then(function(instance) {
+      App.getBank().then(function(instance) {
         bankInstance = instance;
-        console.log("Repaying DAI:" + repayAmount*1e18);
-        return bankInstance.vaultRepay(repayAmount*1e18, {from: account});
+        var amount = Amounts.toBaseUnits(repayAmount, App.tokens.debt.decimals);
+        console.log("Repaying " + App.tokens.debt.symbol + ": " + amount.toString());
+        return App.ensureAllowance('debt', bankInstance, account, amount).then(function() {
+          return Transactions.send("Repay " + App.tokens.debt.symbol, bankInstance.vaultRepay, [amount], {from: account});
+        });
       }).then(function(results) {
         App.renderBankUI();
         console.log(results);
       }).catch(function(err) {
-        console.log(err.message);
+        Transactions.fail("Repay", err);
       });
     });
   },
@@ -231,7 +889,7 @@ App = {
   handleWithdraw: function(event) {
     event.preventDefault();
 
-    var withdrawAmount = parseFloat($('.input-withdraw').val());
+    var withdrawAmount = $('.input-withdraw').val();
     console.log(withdrawAmount)
     var bankInstance;
 
@@ -240,23 +898,47 @@ App = {
         console.log(error);
       }
       var account = accounts[0];
-      App.contracts.Bank.deployed().then(function(instance) {
+      App.getBank().then(function(instance) {
         bankInstance = instance;
-        console.log("Withdrawing collateral:" + withdrawAmount*1e18);
-        return bankInstance.vaultWithdraw(withdrawAmount*1e18, {from: account});
+        var amount = Amounts.toBaseUnits(withdrawAmount, App.tokens.collateral.decimals);
+        console.log("Withdrawing collateral:" + amount.toString());
+        return Transactions.send("Withdraw " + App.tokens.collateral.symbol, bankInstance.vaultWithdraw, [amount], {from: account});
       }).then(function(results) {
         App.renderBankUI();
         console.log(results);
       }).catch(function(err) {
-        console.log(err.message);
+        Transactions.fail("Withdraw", err);
       });
     });
   },
 
+  // Approves the bank to pull amount of the collateral or debt token when the
+  // current allowance is short, either exactly or without limit as the user chose
+  ensureAllowance: function(tokenKey, bankInstance, account, amount) {
+    var token = App.tokens[tokenKey];
+    var instance = App.contracts.ERC20.at(token.address);
+
+    return instance.allowance.call(account, bankInstance.address).then(function(allowance) {
+      if (allowance.greaterThanOrEqualTo(amount)) {
+        return;
+      }
+      var unlimited = $('input[name=approvalMode]:checked').val() == 'unlimited';
+      return Transactions.send("Approve " + token.symbol, instance.approve,
+        [bankInstance.address, unlimited ? App.maxAllowance : amount], {from: account});
+    });
+  },
+
+  formatAllowance: function(allowance, decimals) {
+    if (allowance.greaterThanOrEqualTo(App.maxAllowance.dividedToIntegerBy(2))) {
+      return 'unlimited';
+    }
+    return Amounts.format(allowance, decimals);
+  },
+
   handleDTApprove: function(event) {
     event.preventDefault();
 
-    var approveAmt = parseFloat($('.input-dt-approve').val());
+    var approveAmt = $('.input-dt-approve').val();
     console.log(approveAmt)
     var bankInstance;
 
@@ -265,17 +947,18 @@ App = {
         console.log(error);
       }
       var account = accounts[0];
-      App.contracts.Bank.deployed().then(function(bank) {
-        App.contracts.DT.deployed().then(function(instance) {
-          return instance.approve(bank.address, approveAmt*1e18, {from: account});
+      App.getBank().then(function(bank) {
+        App.contracts.ERC20.at(App.tokens.debt.address).then(function(instance) {
+          var amount = Amounts.toBaseUnits(approveAmt, App.tokens.debt.decimals);
+          return Transactions.send("Approve " + App.tokens.debt.symbol, instance.approve, [bank.address, amount], {from: account});
         }).then(function(results) {
           App.renderBankUI();
           console.log(results);
         }).catch(function(err) {
-          console.log(err.message);
+          Transactions.fail("Approve", err);
         });
       }).catch(function(err) {
-        console.log(err.message);
+        Transactions.fail("Approve", err);
       });
     });
   },
@@ -283,7 +966,7 @@ App = {
   handleCTApprove: function(event) {
     event.preventDefault();
 
-    var approveAmt = parseFloat($('.input-ct-approve').val());
+    var approveAmt = $('.input-ct-approve').val();
     console.log(approveAmt)
     var bankInstance;
 
@@ -292,20 +975,855 @@ App = {
         console.log(error);
       }
       var account = accounts[0];
-      App.contracts.Bank.deployed().then(function(bank) {
-        App.contracts.CT.deployed().then(function(ct) {
+      App.getBank().then(function(bank) {
+        App.contracts.ERC20.at(App.tokens.collateral.address).then(function(ct) {
+          var amount = Amounts.toBaseUnits(approveAmt, App.tokens.collateral.decimals);
           console.log(bank.address)
-          console.log(approveAmt*1e18)
+          console.log(amount.toString())
           console.log(account)
-          return ct.approve(bank.address, approveAmt*1e18, {from: account});
+          return Transactions.send("Approve " + App.tokens.collateral.symbol, ct.approve, [bank.address, amount], {from: account});
         }).then(function(results) {
           App.renderBankUI();
           console.log(results);
         }).catch(function(err) {
-          console.log(err.message);
+          Transactions.fail("Approve", err);
         });
       }).catch(function(err) {
+        Transactions.fail("Approve", err);
+      });
+    });
+  },
+
+  loadVaultState: function(bankInstance, account, bank) {
+    return App.readVaultState(bankInstance, account, bank).then(function(state) {
+      App.vaultState = state;
+      return state;
+    });
+  },
+
+  // Everything the vault previews need, the vault read at the bank
+  // summary's block so they agree
+  readVaultState: function(bankInstance, account, snapshot) {
+    return Summary.vault(bankInstance, account, snapshot.block).then(function(vault) {
+      var bank = snapshot.summary;
+      return {
+        collateralPrice: bank.collateralTokenPrice,
+        collateralPriceGranularity: bank.collateralTokenPriceGranularity,
+        debtPrice: bank.debtTokenPrice,
+        debtPriceGranularity: bank.debtTokenPriceGranularity,
+        collateralizationRatio: bank.collateralizationRatio,
+        liquidationPenalty: bank.liquidationPenalty,
+        closeFactor: bank.closeFactor,
+        originationFee: bank.originationFee,
+        reserveBalance: bank.reserveBalance,
+        collateralAmount: vault.collateralAmount,
+        repayAmount: vault.repayAmount,
+        debtAmount: vault.debtAmount,
+        createdAt: vault.createdAt,
+        ratio: vault.collateralizationRatio,
+        interestRate: bank.interestRate,
+        period: bank.period,
+        timestamp: vault.timestamp
+      };
+    });
+  },
+
+  getBlockNumber: function() {
+    return new Promise(function(resolve, reject) {
+      web3.eth.getBlockNumber(function(error, blockNumber) {
+        if (error) {
+          return reject(error);
+        }
+        resolve(blockNumber);
+      });
+    });
+  },
+
+  renderVaultHealth: function() {
+    var vaultPanel = $('#vaultPanel');
+    var state = App.vaultState;
+    var tokens = App.tokens;
+    if (!state) {
+      return;
+    }
+    var health = VaultMath.health(state);
+    var threshold = state.collateralizationRatio.times(100);
+    var ratio = VaultMath.collateralizationRatio(state, state.collateralAmount, state.debtAmount);
+    var styles = {safe: 'success', warning: 'warning', danger: 'danger'};
+    var labels = {safe: 'Safe', warning: 'Near liquidation', danger: 'Liquidatable'};
+
+    vaultPanel.find('.minimumRatio').text(state.collateralizationRatio.toString());
+    vaultPanel.find('.healthLabel')
+      .attr('class', 'label healthLabel label-' + (health ? styles[health] : 'default'))
+      .text(health ? labels[health] : 'No debt');
+    // Full bar at twice the minimum ratio, so the minimum sits in the middle
+    var width = health ? Math.min(100, ratio.dividedBy(threshold.times(2)).times(100).toNumber()) : 100;
+    vaultPanel.find('.healthBar')
+      .attr('class', 'progress-bar healthBar progress-bar-' + (health ? styles[health] : 'success'))
+      .css('width', width + '%');
+
+    var liquidationPrice = VaultMath.liquidationPrice(state);
+    if (!health) {
+      vaultPanel.find('.liquidationPrice, .liquidationRepaid, .liquidationCollateral, .liquidationPenaltyCollateral').text('-');
+      return;
+    }
+    vaultPanel.find('.liquidationPrice').text(liquidationPrice ? liquidationPrice.dividedBy(state.collateralPriceGranularity).toString() : '-');
+    // At the current price when already liquidatable, otherwise at the
+    // liquidation price, where a liquidation would first happen
+    var price = health == 'danger' || !liquidationPrice ? state.collateralPrice : liquidationPrice;
+    var liquidation = VaultMath.liquidation(state, price);
+    vaultPanel.find('.liquidationRepaid').text(Amounts.format(liquidation.repaid, tokens.debt.decimals));
+    vaultPanel.find('.liquidationCollateral').text(Amounts.format(liquidation.collateral, tokens.collateral.decimals));
+    vaultPanel.find('.liquidationPenaltyCollateral').text(Amounts.format(liquidation.penalty, tokens.collateral.decimals));
+  },
+
+  // Vault state with the slider changes applied to the oracle prices
+  shockedState: function() {
+    var state = App.vaultState;
+    var shocked = Object.assign({}, state);
+    $('.input-price-shock').each(function() {
+      var percent = parseInt($(this).val(), 10);
+      var field = $(this).data('token') == 'collateral' ? 'collateralPrice' : 'debtPrice';
+      shocked[field] = state[field].times(100 + percent).dividedToIntegerBy(100);
+    });
+    return shocked;
+  },
+
+  renderPriceShock: function() {
+    var panel = $('#priceShockPanel');
+    var state = App.vaultState;
+    var tokens = App.tokens;
+    if (!state) {
+      return;
+    }
+    var scenarios = {current: state, shocked: App.shockedState()};
+
+    $('.input-price-shock').each(function() {
+      var token = $(this).data('token');
+      var percent = parseInt($(this).val(), 10);
+      var price = scenarios.shocked[token + 'Price'].dividedBy(state[token + 'PriceGranularity']);
+      panel.find('.shockPercent[data-token=' + token + ']').text((percent > 0 ? '+' : '') + percent);
+      panel.find('.shockedPrice[data-token=' + token + ']').text(price.toString());
+    });
+    Object.keys(scenarios).forEach(function(scenario) {
+      var scenarioState = scenarios[scenario];
+      var cell = function(name) {
+        return panel.find('.' + name + '[data-scenario=' + scenario + ']');
+      };
+      var hasDebt = !scenarioState.debtAmount.isZero();
+      var ratio = VaultMath.collateralizationRatio(scenarioState, scenarioState.collateralAmount, scenarioState.debtAmount);
+      cell('shockRatio').text(hasDebt ? ratio.dividedBy(100).toFixed(2) + '%' : '-');
+      cell('shockMaxBorrow').text(Amounts.format(VaultMath.borrowCapacity(scenarioState), tokens.debt.decimals));
+      cell('shockMaxWithdraw').text(Amounts.format(VaultMath.withdrawCapacity(scenarioState), tokens.collateral.decimals));
+      var liquidatable = VaultMath.health(scenarioState) == 'danger';
+      cell('shockLiquidatable').empty().append(
+        $('<span class="label">').addClass(liquidatable ? 'label-danger' : 'label-success').text(liquidatable ? 'Yes' : 'No')
+      );
+    });
+  },
+
+  handleResetPriceShock: function(event) {
+    event.preventDefault();
+
+    $('.input-price-shock').val(0);
+    App.renderPriceShock();
+  },
+
+  renderBorrowPreview: function() {
+    if (!App.vaultState) {
+      return;
+    }
+    var vaultActionsPanel = $('#vaultActionsPanel');
+    var decimals = App.tokens.debt.decimals;
+    var capacity = VaultMath.borrowCapacity(App.vaultState);
+    var amount;
+    try {
+      amount = Amounts.toBaseUnits(vaultActionsPanel.find('.input-borrow').val(), decimals);
+    } catch (err) {
+      amount = web3.toBigNumber(0);
+    }
+    vaultActionsPanel.find('.maxBorrow').text(Amounts.format(capacity, decimals));
+    vaultActionsPanel.find('.borrowFee').text(Amounts.fromBaseUnits(VaultMath.originationFee(App.vaultState, amount), decimals));
+    vaultActionsPanel.find('.borrowTooLarge').toggle(amount.greaterThan(capacity));
+  },
+
+  renderWithdrawPreview: function() {
+    if (!App.vaultState) {
+      return;
+    }
+    var vaultActionsPanel = $('#vaultActionsPanel');
+    var state = App.vaultState;
+    var decimals = App.tokens.collateral.decimals;
+    var capacity = VaultMath.withdrawCapacity(state);
+    var amount;
+    try {
+      amount = Amounts.toBaseUnits(vaultActionsPanel.find('.input-withdraw').val(), decimals);
+    } catch (err) {
+      amount = web3.toBigNumber(0);
+    }
+    vaultActionsPanel.find('.maxWithdraw').text(Amounts.format(capacity, decimals));
+    vaultActionsPanel.find('.withdrawTooLarge').toggle(amount.greaterThan(capacity));
+    if (amount.greaterThan(state.collateralAmount) || state.debtAmount.isZero()) {
+      vaultActionsPanel.find('.ratioAfterWithdraw').text('-');
+      return;
+    }
+    var ratio = VaultMath.collateralizationRatio(state, state.collateralAmount.minus(amount), state.debtAmount);
+    vaultActionsPanel.find('.ratioAfterWithdraw').text(ratio.dividedBy(100).toFixed(2) + '%');
+  },
+
+  renderInterestProjection: function() {
+    var projectionPanel = $('#projectionPanel');
+    var state = App.vaultState;
+    var decimals = App.tokens.debt.decimals;
+    var day = 86400;
+
+    projectionPanel.find('.projection').each(function() {
+      var days = $(this).data('days');
+      var owed = VaultMath.repayAmountAt(state, state.timestamp.plus(days * day));
+      $(this).text(Amounts.format(owed, decimals));
+    });
+
+    var schedule = projectionPanel.find('.schedule tbody');
+    schedule.empty();
+    if (state.debtAmount.isZero() || state.period.isZero()) {
+      projectionPanel.find('.nextAccrual').text('-');
+      return;
+    }
+    var boundary = VaultMath.nextPeriodBoundary(state, state.timestamp);
+    projectionPanel.find('.nextAccrual').text(App.formatTimestamp(boundary));
+
+    var previous = VaultMath.repayAmountAt(state, state.timestamp);
+    for (var i = 1; i <= App.scheduleLength; i++) {
+      var owed = VaultMath.repayAmountAt(state, boundary);
+      var row = $('<tr>');
+      row.append($('<td>').text(i));
+      row.append($('<td>').text(App.formatTimestamp(boundary)));
+      row.append($('<td>').text(Amounts.format(owed.minus(previous), decimals)));
+      row.append($('<td>').text(Amounts.format(owed, decimals)));
+      schedule.append(row);
+      previous = owed;
+      boundary = boundary.plus(state.period);
+    }
+  },
+
+  handleWithdrawMax: function(event) {
+    event.preventDefault();
+
+    $('.input-withdraw').val(Amounts.fromBaseUnits(VaultMath.withdrawCapacity(App.vaultState), App.tokens.collateral.decimals));
+    App.renderWithdrawPreview();
+  },
+
+  handleBorrowMax: function(event) {
+    event.preventDefault();
+
+    var amount = VaultMath.withMargin(VaultMath.borrowCapacity(App.vaultState), App.borrowSafetyMargin);
+    $('.input-borrow').val(Amounts.fromBaseUnits(amount, App.tokens.debt.decimals));
+    App.renderBorrowPreview();
+  },
+
+  renderAdminPanel: function(isOwner, summary) {
+    var adminPanel = $('#adminPanel');
+    $('#admin').toggle(isOwner);
+    if (!isOwner) {
+      return;
+    }
+    adminPanel.find('.input-reserve-deposit, .input-reserve-withdraw, .input-reserve-withdraw-collateral, .input-close-factor, .input-max-price-age, .input-max-price-deviation, .input-price-samples, .input-dispute-window').val('');
+    adminPanel.find('.withdrawFee, .withdrawReceived').text('0');
+    App.renderAdminBalances(summary);
+  },
+
+  renderAdminBalances: function(summary) {
+    var adminPanel = $('#adminPanel');
+
+    adminPanel.find('.debtReserveBalance').text(Amounts.format(summary.reserveBalance, App.tokens.debt.decimals));
+    adminPanel.find('.collateralReserveBalance').text(Amounts.format(summary.reserveCollateralBalance, App.tokens.collateral.decimals));
+    adminPanel.find('.reserveCollateralWithdraw').toggle(!summary.reserveCollateralBalance.isZero());
+    adminPanel.find('.collateralPriceUpdatedAt').text(App.formatTimestamp(summary.collateralTokenLastUpdatedAt));
+    adminPanel.find('.debtPriceUpdatedAt').text(App.formatTimestamp(summary.debtTokenLastUpdatedAt));
+    adminPanel.find('.closeFactor').text(summary.closeFactor.toString());
+  },
+
+  formatTimestamp: function(timestamp) {
+    if (timestamp == 0) {
+      return 'never';
+    }
+    return new Date(timestamp * 1000).toLocaleString();
+  },
+
+  // Withdrawals from the reserve send 0.5% to the bank factory owner
+  handleReserveWithdrawPreview: function(event) {
+    var input = $(event.target);
+    var decimals = App.tokens[input.data('token')].decimals;
+    var amount;
+    try {
+      amount = Amounts.toBaseUnits(input.val(), decimals);
+    } catch (err) {
+      amount = web3.toBigNumber(0);
+    }
+    var feeAmount = amount.dividedToIntegerBy(200);
+    input.closest('.form-group').find('.withdrawFee').text(Amounts.fromBaseUnits(feeAmount, decimals));
+    input.closest('.form-group').find('.withdrawReceived').text(Amounts.fromBaseUnits(amount.minus(feeAmount), decimals));
+  },
+
+  sendAdminTransaction: function(label, send) {
+    web3.eth.getAccounts(function(error, accounts) {
+      if (error) {
+        console.log(error);
+      }
+      var account = accounts[0];
+      App.getBank().then(function(instance) {
+        return send(instance, account);
+      }).then(function(results) {
+        App.renderBankUI();
+        console.log(results);
+      }).catch(function(err) {
+        Transactions.fail(label, err);
+      });
+    });
+  },
+
+  handleReserveDeposit: function(event) {
+    event.preventDefault();
+
+    var depositAmount = $('.input-reserve-deposit').val();
+    App.sendAdminTransaction("Deposit reserves", function(bank, account) {
+      var amount = Amounts.toBaseUnits(depositAmount, App.tokens.debt.decimals);
+      console.log("Depositing reserves: " + amount.toString());
+      return App.ensureAllowance('debt', bank, account, amount).then(function() {
+        return Transactions.send("Deposit " + App.tokens.debt.symbol + " reserves", bank.reserveDeposit, [amount], {from: account});
+      });
+    });
+  },
+
+  handleReserveWithdraw: function(event) {
+    event.preventDefault();
+
+    var withdrawAmount = $('.input-reserve-withdraw').val();
+    App.sendAdminTransaction("Withdraw reserves", function(bank, account) {
+      var amount = Amounts.toBaseUnits(withdrawAmount, App.tokens.debt.decimals);
+      console.log("Withdrawing reserves: " + amount.toString());
+      return Transactions.send("Withdraw " + App.tokens.debt.symbol + " reserves", bank.reserveWithdraw, [amount], {from: account});
+    });
+  },
+
+  handleReserveWithdrawCollateral: function(event) {
+    event.preventDefault();
+
+    var withdrawAmount = $('.input-reserve-withdraw-collateral').val();
+    App.sendAdminTransaction("Withdraw reserve collateral", function(bank, account) {
+      var amount = Amounts.toBaseUnits(withdrawAmount, App.tokens.collateral.decimals);
+      console.log("Withdrawing reserve collateral: " + amount.toString());
+      return Transactions.send("Withdraw " + App.tokens.collateral.symbol + " reserve collateral", bank.reserveWithdrawCollateral, [amount], {from: account});
+    });
+  },
+
+  handleUpdateCollateralPrice: function(event) {
+    event.preventDefault();
+
+    App.sendAdminTransaction("Update collateral price", function(bank, account) {
+      return Transactions.send("Update " + App.tokens.collateral.symbol + " price", bank.updateCollateralPrice, [], {from: account});
+    });
+  },
+
+  handleSetCloseFactor: function(event) {
+    event.preventDefault();
+
+    var closeFactor = $.trim($('.input-close-factor').val());
+    if (!/^[0-9]+$/.test(closeFactor)) {
+      Transactions.fail("Set close factor", new Error("Close factor must be a whole percentage"));
+      return;
+    }
+    App.sendAdminTransaction("Set close factor", function(bank, account) {
+      return Transactions.send("Set close factor to " + closeFactor + "%", bank.setCloseFactor, [closeFactor], {from: account});
+    });
+  },
+
+  handleSetPriceGuards: function(event) {
+    event.preventDefault();
+
+    var maxPriceAge = $.trim($('.input-max-price-age').val());
+    var maxPriceDeviation = $.trim($('.input-max-price-deviation').val());
+    if (!/^[0-9]+$/.test(maxPriceAge) || !/^[0-9]+$/.test(maxPriceDeviation)) {
+      Transactions.fail("Set price guards", new Error("Price age and deviation must be whole numbers"));
+      return;
+    }
+    App.sendAdminTransaction("Set price guards", function(bank, account) {
+      return Transactions.send("Set price guards", bank.setPriceGuards, [maxPriceAge, maxPriceDeviation], {from: account});
+    });
+  },
+
+  handleSetPriceAggregation: function(event) {
+    event.preventDefault();
+
+    var priceAggregation = $('.input-price-aggregation').val();
+    var priceSamples = $.trim($('.input-price-samples').val()) || '1';
+    var disputeWindow = $.trim($('.input-dispute-window').val()) || '0';
+    if (!/^[0-9]+$/.test(priceSamples) || !/^[0-9]+$/.test(disputeWindow)) {
+      Transactions.fail("Set price aggregation", new Error("Number of values and dispute window must be whole numbers"));
+      return;
+    }
+    App.sendAdminTransaction("Set price aggregation", function(bank, account) {
+      return Transactions.send("Set price aggregation", bank.setPriceAggregation, [priceAggregation, priceSamples, disputeWindow], {from: account});
+    });
+  },
+
+  handleUpdateDebtPrice: function(event) {
+    event.preventDefault();
+
+    App.sendAdminTransaction("Update debt price", function(bank, account) {
+      return Transactions.send("Update " + App.tokens.debt.symbol + " price", bank.updateDebtPrice, [], {from: account});
+    });
+  },
+
+  handleLiquidate: function(event) {
+    event.preventDefault();
+
+    var vaultOwner = $(event.target).data('vault-owner') || $.trim($('.input-liquidate').val());
+    if (!web3.isAddress(vaultOwner)) {
+      Transactions.fail("Liquidate", new Error("Invalid vault owner address: " + vaultOwner));
+      return;
+    }
+    var liquidateAmount = $.trim($('.input-liquidate-amount').val());
+    var bankInstance;
+
+    web3.eth.getAccounts(function(error, accounts) {
+      if (error) {
+        console.log(error);
+      }
+      var account = accounts[0];
+      App.getBank().then(function(instance) {
+        bankInstance = instance;
+        return App.readBank(bankInstance).then(function(bank) {
+          return App.readVaultState(bankInstance, vaultOwner, bank);
+        });
+      }).then(function(state) {
+        // The contract caps the repayment at the close factor share of the
+        // debt with interest (all of it for a deeply undercollateralized
+        // vault), so only that much needs approving
+        var maxRepay = VaultMath.maxLiquidation(state, state.collateralPrice);
+        var amount = liquidateAmount ? Amounts.toBaseUnits(liquidateAmount, App.tokens.debt.decimals) : maxRepay;
+        if (amount.greaterThan(maxRepay)) {
+          amount = maxRepay;
+        }
+        return App.ensureAllowance('debt', bankInstance, account, amount).then(function() {
+          var label = "Liquidate " + App.shortAddress(vaultOwner) + " (repay " + Amounts.format(amount, App.tokens.debt.decimals) + " " + App.tokens.debt.symbol + ")";
+          return Transactions.send(label, bankInstance.liquidate, [vaultOwner, amount], {from: account});
+        });
+      }).then(function(results) {
+        $('.input-liquidate, .input-liquidate-amount').val('');
+        App.renderBankUI();
+        console.log(results);
+      }).catch(function(err) {
+        Transactions.fail("Liquidate", err);
+      });
+    });
+  },
+
+  // Logs are only ever appended, so each event list is scanned once from the
+  // deployment's first block and afterwards only over the blocks added since
+  getEvents: function(instance, eventName, filter, range) {
+    if (range) {
+      return App.fetchEvents(instance, eventName, filter, range);
+    }
+    App.eventCache = App.eventCache || {};
+    var key = [instance.address, eventName, JSON.stringify(filter || {})].join(':');
+    var cached = App.eventCache[key] || Promise.resolve({
+      events: [],
+      nextBlock: (App.deployment && App.deployment.deployedBlock) || 0
+    });
+    var scan = cached.then(function(scanned) {
+      return App.getBlockNumber().then(function(blockNumber) {
+        if (blockNumber < scanned.nextBlock) {
+          return scanned;
+        }
+        return App.fetchEvents(instance, eventName, filter, {fromBlock: scanned.nextBlock, toBlock: blockNumber}).then(function(events) {
+          return {events: scanned.events.concat(events), nextBlock: blockNumber + 1};
+        });
+      });
+    });
+    // A failed scan is retried from the same block next time
+    App.eventCache[key] = scan.catch(function() {
+      return cached;
+    });
+    return scan.then(function(scanned) {
+      return scanned.events;
+    });
+  },
+
+  fetchEvents: function(instance, eventName, filter, range) {
+    return new Promise(function(resolve, reject) {
+      instance[eventName](filter || {}, range).get(function(error, events) {
+        if (error) {
+          return reject(error);
+        }
+        resolve(events);
+      });
+    });
+  },
+
+  // Vault owners are not enumerable on-chain, so rebuild them from the
+  // deposit and borrow events every vault must have emitted
+  getVaultOwners: function(bankInstance) {
+    return Promise.all([
+      App.getEvents(bankInstance, 'VaultDeposit'),
+      App.getEvents(bankInstance, 'VaultBorrow')
+    ]).then(function(results) {
+      var owners = {};
+      results[0].forEach(function(event) {
+        owners[event.args.owner] = true;
+      });
+      results[1].forEach(function(event) {
+        owners[event.args.borrower] = true;
+      });
+      return Object.keys(owners);
+    });
+  },
+
+  renderLiquidationMonitor: function(bankInstance, bank) {
+    var monitorPanel = $('#monitorPanel');
+    var threshold = bank.summary.collateralizationRatio * 100;
+
+    App.getVaultOwners(bankInstance).then(function(owners) {
+      return Promise.all(owners.map(function(owner) {
+        return Summary.vault(bankInstance, owner, bank.block).then(function(summary) {
+          return {
+            owner: owner,
+            ratio: summary.collateralizationRatio.toNumber(),
+            collateralAmount: summary.collateralAmount,
+            debtAmount: summary.debtAmount,
+            repayAmount: summary.repayAmount
+          };
+        });
+      }));
+    }).then(function(vaults) {
+      // Vaults without debt report a ratio of 0 but can never be liquidated
+      vaults = vaults.filter(function(vault) {
+        return vault.debtAmount > 0;
+      });
+      vaults.sort(function(a, b) {
+        return a.ratio - b.ratio;
+      });
+
+      var vaultList = monitorPanel.find('tbody');
+      vaultList.empty();
+      $('#monitor .vaultCount').text(vaults.length);
+      $('#monitor .atRiskCount').text(vaults.filter(function(vault) {
+        return vault.ratio < threshold;
+      }).length);
+
+      vaults.forEach(function(vault) {
+        var row = $('<tr>');
+        var liquidatable = vault.ratio < threshold;
+        if (liquidatable) {
+          row.addClass('danger');
+        } else if (vault.ratio < threshold * 1.1) {
+          row.addClass('warning');
+        }
+        row.append($('<td>').text(vault.owner));
+        row.append($('<td>').text(Amounts.format(vault.collateralAmount, App.tokens.collateral.decimals)));
+        row.append($('<td>').text(Amounts.format(vault.repayAmount, App.tokens.debt.decimals)));
+        row.append($('<td>').text(vault.ratio / 100 + '%'));
+        var action = $('<td>');
+        action.append($('<button class="btn btn-default btn-xs btn-inspect-vault" type="button">Inspect</button>')
+          .attr('data-vault-owner', vault.owner));
+        if (liquidatable && !App.readOnly) {
+          action.append(" ").append($('<button class="btn btn-danger btn-xs btn-liquidate" type="button">Liquidate</button>')
+            .attr('data-vault-owner', vault.owner));
+        }
+        row.append(action);
+        vaultList.append(row);
+      });
+    }).catch(function(err) {
+      console.log(err);
+    });
+  },
+
+  handleRefreshMonitor: function(event) {
+    event.preventDefault();
+
+    App.getBank().then(function(instance) {
+      return App.readBank(instance).then(function(bank) {
+        App.renderLiquidationMonitor(instance, bank);
+      });
+    }).catch(function(err) {
+      console.log(err);
+    });
+  },
+
+  // Bank events that belong in an account's history, keyed by the argument
+  // holding the vault owner and the token the amount is denominated in
+  historyEvents: {
+    VaultDeposit: {account: 'owner', amount: 'amount', token: 'collateral'},
+    VaultBorrow: {account: 'borrower', amount: 'amount', token: 'debt'},
+    VaultRepay: {account: 'borrower', amount: 'amount', token: 'debt'},
+    VaultWithdraw: {account: 'borrower', amount: 'amount', token: 'collateral'},
+    Liquidation: {account: 'borrower', amount: 'debtRepaid', token: 'debt'}
+  },
+
+  getBlockTime: function(blockNumber) {
+    App.blockTimes = App.blockTimes || {};
+    // Mined blocks never change, only 'latest' has to be read every time
+    if (blockNumber == 'latest' || !App.blockTimes[blockNumber]) {
+      App.blockTimes[blockNumber] = new Promise(function(resolve, reject) {
+        web3.eth.getBlock(blockNumber, function(error, block) {
+          if (error) {
+            return reject(error);
+          }
+          resolve(block.timestamp);
+        });
+      });
+    }
+    return App.blockTimes[blockNumber];
+  },
+
+  getAccountHistory: function(bankInstance, account) {
+    var eventNames = Object.keys(App.historyEvents);
+
+    return Promise.all(eventNames.map(function(eventName) {
+      return App.getEvents(bankInstance, eventName);
+    })).then(function(results) {
+      var events = [];
+      results.forEach(function(found, i) {
+        var spec = App.historyEvents[eventNames[i]];
+        found.forEach(function(event) {
+          // Vault event arguments are not indexed, so filter client side
+          if (event.args[spec.account].toLowerCase() == account.toLowerCase()) {
+            events.push({
+              event: event.event,
+              blockNumber: event.blockNumber,
+              logIndex: event.logIndex,
+              amount: event.args[spec.amount],
+              token: spec.token,
+              transactionHash: event.transactionHash
+            });
+          }
+        });
+      });
+      events.sort(function(a, b) {
+        return (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex);
+      });
+      return Promise.all(events.map(function(entry) {
+        return App.getBlockTime(entry.blockNumber).then(function(timestamp) {
+          entry.timestamp = timestamp;
+          return entry;
+        });
+      }));
+    });
+  },
+
+  renderHistory: function(bankInstance, account) {
+    var historyList = $('#historyPanel tbody');
+
+    App.getAccountHistory(bankInstance, account).then(function(history) {
+      App.history = history;
+      historyList.empty();
+      $('#history .historyCount').text(history.length);
+      history.forEach(function(entry) {
+        var row = $('<tr>');
+        row.append($('<td>').text(App.formatTimestamp(entry.timestamp)));
+        row.append($('<td>').text(entry.event));
+        row.append($('<td>').text(Amounts.format(entry.amount, App.tokens[entry.token].decimals) + ' ' + App.tokens[entry.token].symbol));
+        row.append($('<td>').append($('<code>').text(entry.transactionHash)));
+        historyList.append(row);
+      });
+    }).catch(function(err) {
+      console.log(err);
+    });
+  },
+
+  handleExportHistory: function(event) {
+    event.preventDefault();
+
+    var lines = [['timestamp', 'block', 'event', 'amount', 'token', 'transactionHash'].join(',')];
+    (App.history || []).forEach(function(entry) {
+      lines.push([
+        new Date(entry.timestamp * 1000).toISOString(),
+        entry.blockNumber,
+        entry.event,
+        Amounts.fromBaseUnits(entry.amount, App.tokens[entry.token].decimals),
+        App.tokens[entry.token].symbol,
+        entry.transactionHash
+      ].join(','));
+    });
+
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([lines.join('\n') + '\n'], {type: 'text/csv'}));
+    link.download = 'bank-history-' + App.bankAddress + '.csv';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  },
+
+  readCreateBankForm: function(form) {
+    var field = function(name) {
+      return $.trim(form.find('[name=' + name + ']').val());
+    };
+    // Percentages and prices are converted like token amounts, as decimal
+    // strings, so no value goes through a float
+    var percent = function(name, label, decimals) {
+      try {
+        return Amounts.toBaseUnits(field(name), decimals).toFixed(0);
+      } catch (err) {
+        throw new Error(label + " must be a positive percentage with at most " + decimals + " decimal places");
+      }
+    };
+    var integer = function(name, label) {
+      var value = field(name);
+      if (!/^[0-9]+$/.test(value) || parseInt(value, 10) == 0) {
+        throw new Error(label + " must be a whole number greater than zero");
+      }
+      return parseInt(value, 10);
+    };
+    var address = function(name, label) {
+      var value = field(name);
+      if (!web3.isAddress(value)) {
+        throw new Error(label + " is not a valid address");
+      }
+      return value;
+    };
+    // A granularity of 10^n gives prices n decimal places
+    var granularity = function(name, label) {
+      var value = field(name);
+      if (!/^10*$/.test(value)) {
+        throw new Error(label + " must be a power of ten, such as 1000000");
+      }
+      return value;
+    };
+    var price = function(name, label, granularity) {
+      var decimals = granularity.length - 1;
+      var value;
+      try {
+        value = Amounts.toBaseUnits(field(name), decimals);
+      } catch (err) {
+        throw new Error(label + " must be a price with at most " + decimals + " decimal places");
+      }
+      if (value.isZero()) {
+        throw new Error(label + " must be greater than zero");
+      }
+      return value.toFixed(0);
+    };
+
+    var params = {
+      name: field('name'),
+      interestRate: percent('interestRate', "Interest rate", 2),
+      originationFee: percent('originationFee', "Origination fee", 2),
+      collateralizationRatio: percent('collateralizationRatio', "Collateralization ratio", 0),
+      liquidationPenalty: percent('liquidationPenalty', "Liquidation penalty", 0),
+      period: integer('period', "Period"),
+      oracleAddress: address('oracleAddress', "Oracle adapter address"),
+      collateralTokenAddress: address('collateralTokenAddress', "Collateral token"),
+      collateralRequestId: integer('collateralRequestId', "Collateral oracle request ID"),
+      collateralPriceGranularity: granularity('collateralPriceGranularity', "Collateral price granularity"),
+      debtTokenAddress: address('debtTokenAddress', "Debt token"),
+      debtRequestId: integer('debtRequestId', "Debt oracle request ID"),
+      debtPriceGranularity: granularity('debtPriceGranularity', "Debt price granularity")
+    };
+    params.collateralPrice = price('collateralPrice', "Collateral price", params.collateralPriceGranularity);
+    params.debtPrice = price('debtPrice', "Debt price", params.debtPriceGranularity);
+
+    if (params.name.length == 0) {
+      throw new Error("Bank name is required");
+    }
+    if (web3.toBigNumber(params.collateralizationRatio).lessThanOrEqualTo(100)) {
+      throw new Error("Collateralization ratio must be above 100%");
+    }
+    if (params.collateralTokenAddress.toLowerCase() == params.debtTokenAddress.toLowerCase()) {
+      throw new Error("Collateral and debt tokens must be different");
+    }
+    return params;
+  },
+
+  setCreateBankStep: function(step, status) {
+    var labels = {
+      pending: ['label-default', 'Pending'],
+      active: ['label-info', 'Waiting for wallet'],
+      done: ['label-success', 'Done'],
+      failed: ['label-danger', 'Failed']
+    };
+    $('#createBankProgress [data-step=' + step + '] .label')
+      .attr('class', 'label ' + labels[status][0])
+      .text(labels[status][1]);
+  },
+
+  handleCreateBank: function(event) {
+    event.preventDefault();
+
+    var form = $('#createBankForm');
+    var errorBox = form.find('.createBankError');
+    var summary = $('#createBankSummary');
+    var params;
+    errorBox.hide();
+    summary.hide();
+
+    try {
+      params = App.readCreateBankForm(form);
+    } catch (err) {
+      errorBox.text(err.message).show();
+      return;
+    }
+
+    ['create', 'collateral', 'debt'].forEach(function(step) {
+      App.setCreateBankStep(step, 'pending');
+    });
+    $('#createBankProgress').show();
+    form.find('.btn-create-bank').prop('disabled', true);
+
+    var step = 'create';
+    var factoryInstance;
+    var bankInstance;
+
+    web3.eth.getAccounts(function(error, accounts) {
+      if (error) {
+        console.log(error);
+      }
+      var account = accounts[0];
+      App.setCreateBankStep(step, 'active');
+      App.getBankFactory().then(function(factory) {
+        factoryInstance = factory;
+        return Transactions.send("Create bank " + params.name, factory.createBank, [params.name, params.interestRate,
+          params.originationFee, params.collateralizationRatio, params.liquidationPenalty, params.period,
+          params.oracleAddress], {from: account});
+      }).then(function(receipt) {
+        return App.getEvents(factoryInstance, 'BankCreated', {}, {fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber}).then(function(events) {
+          return events.find(function(event) {
+            return event.transactionHash == receipt.transactionHash;
+          });
+        });
+      }).then(function(created) {
+        App.setCreateBankStep(step, 'done');
+        step = 'collateral';
+        App.setCreateBankStep(step, 'active');
+        return App.contracts.Bank.at(created.args.newBankAddress);
+      }).then(function(instance) {
+        bankInstance = instance;
+        return Transactions.send("Set collateral token", bankInstance.setCollateral, [params.collateralTokenAddress,
+          params.collateralRequestId, params.collateralPriceGranularity, params.collateralPrice], {from: account});
+      }).then(function() {
+        App.setCreateBankStep(step, 'done');
+        step = 'debt';
+        App.setCreateBankStep(step, 'active');
+        return Transactions.send("Set debt token", bankInstance.setDebt, [params.debtTokenAddress,
+          params.debtRequestId, params.debtPriceGranularity, params.debtPrice], {from: account});
+      }).then(function() {
+        App.setCreateBankStep(step, 'done');
+        summary.find('.newBankName').text(params.name);
+        summary.find('.newBankAddress').text(bankInstance.address);
+        summary.show();
+        form[0].reset();
+        App.bankAddress = bankInstance.address;
+        window.location.hash = App.bankAddress;
+        App.loadBanks();
+      }).catch(function(err) {
+        App.setCreateBankStep(step, 'failed');
+        if (bankInstance) {
+          errorBox.text(Transactions.explain(err) + " (bank created at " + bankInstance.address + ", finish its setup from the owner account)").show();
+        } else {
+          errorBox.text(Transactions.explain(err)).show();
+        }
         console.log(err.message);
+      }).then(function() {
+        form.find('.btn-create-bank').prop('disabled', false);
       });
     });
   },
@@ -0,0 +1,6 @@
+// Settings for the DApp that differ between deployments
+Config = {
+  // JSON-RPC node used to read the chain when the browser has no wallet,
+  // can be overridden with ?rpc=<url>
+  rpcUrl: 'http://127.0.0.1:7545'
+};
@@ -0,0 +1,82 @@
+// Reads Bank.getBankSummary and Bank.getVaultSummary, which return every
+// reserve, token and vault field from a single block. web3 0.20 can't decode
+// struct return values, but both structs only hold static fields and are ABI
+// encoded as one 32 byte word per field, in the order they are declared in
+// BankStorage.sol
+Summary = {
+  bankFields: [
+    'interestRate',
+    'originationFee',
+    'collateralizationRatio',
+    'liquidationPenalty',
+    'period',
+    'reserveBalance',
+    'reserveCollateralBalance',
+    'oracleContract',
+    'collateralTokenAddress',
+    'collateralTokenPrice',
+    'collateralTokenPriceGranularity',
+    'collateralTokenLastUpdatedAt',
+    'debtTokenAddress',
+    'debtTokenPrice',
+    'debtTokenPriceGranularity',
+    'debtTokenLastUpdatedAt',
+    'closeFactor',
+    'maxPriceAge',
+    'maxPriceDeviation',
+    'priceAggregation',
+    'priceSamples',
+    'disputeWindow'
+  ],
+  vaultFields: [
+    'collateralAmount',
+    'debtAmount',
+    'repayAmount',
+    'createdAt',
+    'collateralizationRatio',
+    'timestamp'
+  ],
+  addressFields: ['oracleContract', 'collateralTokenAddress', 'debtTokenAddress'],
+
+  // block is optional, pass the same block number to read both summaries
+  // from one state
+  bank: function(bankInstance, block) {
+    return Summary.call(bankInstance.address, 'getBankSummary()', '', Summary.bankFields, block);
+  },
+
+  vault: function(bankInstance, vaultOwner, block) {
+    return Summary.call(bankInstance.address, 'getVaultSummary(address)', Summary.encodeAddress(vaultOwner), Summary.vaultFields, block);
+  },
+
+  encodeAddress: function(address) {
+    var word = address.replace(/^0x/, '').toLowerCase();
+    while (word.length < 64) {
+      word = '0' + word;
+    }
+    return word;
+  },
+
+  call: function(address, signature, encodedArguments, fields, block) {
+    var data = web3.sha3(signature).slice(0, 10) + encodedArguments;
+    return new Promise(function(resolve, reject) {
+      web3.eth.call({to: address, data: data}, block === undefined ? 'latest' : block, function(error, result) {
+        if (error) {
+          return reject(error);
+        }
+        var words = result.replace(/^0x/, '');
+        if (words.length < fields.length * 64) {
+          // Banks deployed before the summaries can't be shown consistently
+          var unsupported = new Error(signature + " returned no data, the bank predates it");
+          unsupported.unsupported = true;
+          return reject(unsupported);
+        }
+        var summary = {};
+        fields.forEach(function(field, i) {
+          var word = words.substr(i * 64, 64);
+          summary[field] = Summary.addressFields.indexOf(field) != -1 ? '0x' + word.slice(24) : web3.toBigNumber('0x' + word);
+        });
+        resolve(summary);
+      });
+    });
+  }
+};
@@ -0,0 +1,161 @@
+// Sends contract transactions, follows them until they are mined and keeps a
+// session log of what happened, with revert strings turned into explanations
+Transactions = {
+  log: [],
+  storageKey: 'bankTransactions',
+  maxEntries: 20,
+  pollInterval: 1000,
+
+  // Revert strings emitted by Bank, Ownable, Initializable and the ERC20 tokens
+  reasons: {
+    "Amount is zero !!": "Enter an amount greater than zero.",
+    "NOT ENOUGH DEBT TOKENS IN RESERVE": "The reserve holds less than the amount you tried to withdraw.",
+    "NOT ENOUGH COLLATERAL IN RESERVE": "The reserve holds less collateral than the amount you tried to withdraw.",
+    "VAULT NOT UNDERCOLLATERALIZED": "This vault is above the collateralization ratio and cannot be liquidated.",
+    "LIQUIDATION WOULD LOWER VAULT RATIO": "Repaying this little would leave the vault less collateralized, repay more of its debt.",
+    "VAULT HAS NO DEBT": "This vault has no debt to liquidate.",
+    "CLOSE FACTOR MUST BE 1 TO 100": "Enter a close factor from 1 to 100 percent.",
+    "PRICE IS STALE": "The oracle prices are older than this bank allows. Wait for the owner to update them.",
+    "PRICE IS ZERO": "The bank has no price for one of its tokens yet.",
+    "ORACLE PRICE UNAVAILABLE": "The oracle has no value for this token yet, or none older than the dispute window.",
+    "UNKNOWN PRICE AGGREGATION": "Choose latest value, median or time-weighted average.",
+    "PRICE SAMPLES MUST BE 1 TO 20": "Enter from 1 to 20 oracle values.",
+    "ORACLE HAS NO PRICE HISTORY": "This bank's oracle adapter does not keep past values, only the latest value without a dispute window can be used.",
+    "NOT ENOUGH COLLATERAL": "Your vault does not have enough collateral to borrow this amount. Deposit more collateral or borrow less.",
+    "NOT ENOUGH RESERVES": "The bank does not have enough reserves to lend this amount.",
+    "CANNOT REPAY MORE THAN OWED": "The amount is more than your vault owes, including interest.",
+    "CANNOT WITHDRAW MORE COLLATERAL": "The amount is more than the collateral in your vault.",
+    "CANNOT UNDERCOLLATERALIZE VAULT": "Withdrawing this much would leave your vault below the collateralization ratio. Repay debt first or withdraw less.",
+    "IS NOT BANK FACTORY OWNER": "Only the bank factory owner can do this.",
+    "Ownable: caller is not the owner": "Only the bank owner can do this.",
+    "Initializable: contract is already initialized": "This bank has already been configured.",
+    "COLLATERAL ALREADY SET": "This bank's collateral token has already been set.",
+    "DEBT ALREADY SET": "This bank's debt token has already been set.",
+    "ERC20: transfer amount exceeds allowance": "The bank is not approved to move this many tokens. Approve a larger amount first.",
+    "ERC20: transfer amount exceeds balance": "Your wallet does not hold enough tokens.",
+    "User denied transaction signature": "You rejected the transaction in your wallet."
+  },
+
+  init: function() {
+    try {
+      Transactions.log = JSON.parse(sessionStorage.getItem(Transactions.storageKey)) || [];
+    } catch (err) {
+      Transactions.log = [];
+    }
+    Transactions.render();
+  },
+
+  explain: function(err) {
+    var message = (err && err.message) || String(err);
+    // Longest first, so "NOT ENOUGH COLLATERAL IN RESERVE" is not read as "NOT ENOUGH COLLATERAL"
+    var known = Object.keys(Transactions.reasons).sort(function(a, b) {
+      return b.length - a.length;
+    }).find(function(reason) {
+      return message.indexOf(reason) != -1;
+    });
+    return known ? Transactions.reasons[known] : message;
+  },
+
+  // method is a truffle-contract function, e.g. bank.vaultDeposit, and the
+  // promise resolves with the receipt once the transaction is mined
+  send: function(label, method, args, txParams) {
+    var entry = {label: label, status: 'pending', hash: null, message: null, time: Date.now()};
+    Transactions.add(entry);
+
+    return method.sendTransaction.apply(null, args.concat([txParams])).then(function(hash) {
+      entry.hash = hash;
+      Transactions.update(entry);
+      return Transactions.waitForReceipt(hash);
+    }).then(function(receipt) {
+      if (receipt.status !== undefined && receipt.status !== null && parseInt(receipt.status, 16) == 0) {
+        // Replay the call to recover the revert string the receipt doesn't carry
+        return method.call.apply(null, args.concat([txParams])).then(function() {
+          throw new Error("Transaction reverted");
+        });
+      }
+      entry.status = 'mined';
+      entry.blockNumber = receipt.blockNumber;
+      Transactions.update(entry);
+      return receipt;
+    }).catch(function(err) {
+      entry.status = 'failed';
+      entry.message = Transactions.explain(err);
+      Transactions.update(entry);
+      err.tracked = true;
+      throw err;
+    });
+  },
+
+  waitForReceipt: function(hash) {
+    return new Promise(function(resolve, reject) {
+      var poll = function() {
+        web3.eth.getTransactionReceipt(hash, function(error, receipt) {
+          if (error) {
+            return reject(error);
+          }
+          if (receipt) {
+            return resolve(receipt);
+          }
+          setTimeout(poll, Transactions.pollInterval);
+        });
+      };
+      poll();
+    });
+  },
+
+  // For errors raised before anything was sent, such as an invalid amount
+  fail: function(label, err) {
+    console.log(err.message);
+    if (err.tracked) {
+      return;
+    }
+    Transactions.add({label: label, status: 'failed', hash: null, message: Transactions.explain(err), time: Date.now()});
+  },
+
+  add: function(entry) {
+    Transactions.log.unshift(entry);
+    Transactions.log = Transactions.log.slice(0, Transactions.maxEntries);
+    Transactions.update(entry);
+  },
+
+  update: function(entry) {
+    try {
+      sessionStorage.setItem(Transactions.storageKey, JSON.stringify(Transactions.log));
+    } catch (err) {
+      console.log(err);
+    }
+    Transactions.render();
+  },
+
+  render: function() {
+    var labels = {
+      pending: 'label-info',
+      mined: 'label-success',
+      failed: 'label-danger'
+    };
+    var list = $('#transactionsPanel tbody');
+    list.empty();
+    Transactions.log.forEach(function(entry) {
+      var row = $('<tr>');
+      row.append($('<td>').text(new Date(entry.time).toLocaleTimeString()));
+      row.append($('<td>').text(entry.label));
+      row.append($('<td>').append($('<span class="label">').addClass(labels[entry.status]).text(entry.status)));
+      row.append($('<td>').append(entry.hash ? $('<code>').text(entry.hash) : ''));
+      row.append($('<td>').text(entry.message || ''));
+      list.append(row);
+    });
+
+    var latest = Transactions.log[0];
+    var status = $('#txStatus');
+    if (!latest) {
+      status.hide();
+      return;
+    }
+    status.attr('class', 'alert ' + {pending: 'alert-info', mined: 'alert-success', failed: 'alert-danger'}[latest.status]);
+    status.text(latest.label + ': ' + {
+      pending: latest.hash ? 'waiting to be mined' : 'waiting for your wallet',
+      mined: 'confirmed in block ' + latest.blockNumber,
+      failed: latest.message
+    }[latest.status]).show();
+  }
+};
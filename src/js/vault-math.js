@@ -0,0 +1,176 @@
+// Off-chain copies of the vault arithmetic in Bank.sol. Every step keeps the
+// contract's integer division and operation order so previews match what a
+// transaction would do to the last base unit.
+VaultMath = {
+  // maxBorrow in Bank.vaultBorrow and maxBorrowAfterWithdraw in Bank.vaultWithdraw
+  maxDebt: function(state, collateralAmount) {
+    if (state.debtPrice.isZero() || state.collateralizationRatio.isZero() || state.collateralPriceGranularity.isZero()) {
+      return web3.toBigNumber(0);
+    }
+    var maxDebt = collateralAmount.times(state.collateralPrice)
+      .dividedToIntegerBy(state.debtPrice)
+      .dividedToIntegerBy(state.collateralizationRatio)
+      .times(100);
+    return maxDebt.times(state.debtPriceGranularity).dividedToIntegerBy(state.collateralPriceGranularity);
+  },
+
+  // Largest amount vaultBorrow accepts: strictly below maxBorrow minus the
+  // accrued debt, and no more than the reserve holds
+  borrowCapacity: function(state) {
+    var capacity = VaultMath.maxDebt(state, state.collateralAmount).minus(state.repayAmount).minus(1);
+    if (capacity.greaterThan(state.reserveBalance)) {
+      capacity = state.reserveBalance;
+    }
+    return capacity.isNegative() ? web3.toBigNumber(0) : capacity;
+  },
+
+  // Largest amount vaultWithdraw accepts, the contract checks the stored
+  // debt (not the accrued repay amount) against maxBorrowAfterWithdraw
+  withdrawCapacity: function(state) {
+    if (state.debtAmount.isZero()) {
+      return state.collateralAmount;
+    }
+    if (VaultMath.maxDebt(state, state.collateralAmount).lessThan(state.debtAmount)) {
+      return web3.toBigNumber(0);
+    }
+    // maxDebt only grows with collateral, so search for the smallest
+    // collateral that still covers the debt
+    var low = web3.toBigNumber(0);
+    var high = state.collateralAmount;
+    while (low.lessThan(high)) {
+      var middle = low.plus(high).dividedToIntegerBy(2);
+      if (VaultMath.maxDebt(state, middle).lessThan(state.debtAmount)) {
+        low = middle.plus(1);
+      } else {
+        high = middle;
+      }
+    }
+    return state.collateralAmount.minus(low);
+  },
+
+  // Bank.getVaultCollateralizationRatio, in hundredths of a percent
+  collateralizationRatio: function(state, collateralAmount, debtAmount) {
+    if (debtAmount.isZero()) {
+      return web3.toBigNumber(0);
+    }
+    var debtValue = debtAmount.times(state.debtPrice).dividedToIntegerBy(state.debtPriceGranularity);
+    if (debtValue.isZero()) {
+      return web3.toBigNumber(0);
+    }
+    return collateralAmount.times(state.collateralPrice).dividedToIntegerBy(state.collateralPriceGranularity)
+      .times(10000).dividedToIntegerBy(debtValue);
+  },
+
+  // Bank.getVaultRepayAmount evaluated at an arbitrary timestamp: simple
+  // interest on the stored debt, added once per whole period elapsed
+  repayAmountAt: function(state, timestamp) {
+    var principal = state.debtAmount;
+    if (state.period.isZero()) {
+      return principal;
+    }
+    var periodsPerYear = web3.toBigNumber(365 * 86400).dividedToIntegerBy(state.period);
+    var periodsElapsed = web3.toBigNumber(timestamp).dividedToIntegerBy(state.period)
+      .minus(state.createdAt.dividedToIntegerBy(state.period));
+    return principal.plus(
+      principal.times(state.interestRate).dividedToIntegerBy(10000).dividedToIntegerBy(periodsPerYear).times(periodsElapsed)
+    );
+  },
+
+  nextPeriodBoundary: function(state, timestamp) {
+    return web3.toBigNumber(timestamp).dividedToIntegerBy(state.period).plus(1).times(state.period);
+  },
+
+  // 'safe', 'warning' within 10% of the minimum (as in the liquidation
+  // monitor) or 'danger' once Bank.liquidate accepts the vault, null
+  // without debt
+  health: function(state) {
+    if (state.debtAmount.isZero()) {
+      return null;
+    }
+    var threshold = state.collateralizationRatio.times(100);
+    var ratio = VaultMath.collateralizationRatio(state, state.collateralAmount, state.debtAmount);
+    if (ratio.lessThan(threshold)) {
+      return 'danger';
+    }
+    return ratio.lessThan(threshold.times(1.1)) ? 'warning' : 'safe';
+  },
+
+  // Highest collateral price at which Bank.liquidate accepts the vault, null
+  // without debt or when no price makes the vault safe
+  liquidationPrice: function(state) {
+    if (state.debtAmount.isZero()) {
+      return null;
+    }
+    var threshold = state.collateralizationRatio.times(100);
+    var isSafe = function(collateralPrice) {
+      var priced = Object.assign({}, state, {collateralPrice: collateralPrice});
+      return !VaultMath.collateralizationRatio(priced, state.collateralAmount, state.debtAmount).lessThan(threshold);
+    };
+    var high = state.collateralPrice.greaterThan(1) ? state.collateralPrice : web3.toBigNumber(1);
+    for (var i = 0; !isSafe(high); i++) {
+      if (i == 256) {
+        return null;
+      }
+      high = high.times(2);
+    }
+    // The ratio only grows with the price, so search for the lowest safe price
+    var low = web3.toBigNumber(0);
+    while (low.lessThan(high)) {
+      var middle = low.plus(high).dividedToIntegerBy(2);
+      if (isSafe(middle)) {
+        high = middle;
+      } else {
+        low = middle.plus(1);
+      }
+    }
+    return low.minus(1);
+  },
+
+  // Most a single Bank.liquidate repays at a given collateral price, the
+  // close factor share of the debt with interest, or all of it once the
+  // vault is below 100% plus the penalty
+  maxLiquidation: function(state, collateralPrice) {
+    var priced = Object.assign({}, state, {collateralPrice: collateralPrice});
+    var ratio = VaultMath.collateralizationRatio(priced, state.collateralAmount, state.repayAmount);
+    if (!ratio.greaterThan(state.liquidationPenalty.plus(100).times(100))) {
+      return state.repayAmount;
+    }
+    return state.repayAmount.times(state.closeFactor).dividedToIntegerBy(100);
+  },
+
+  // Bank.liquidate repaying amount at a given collateral price: the amount
+  // plus the penalty, paid in collateral and capped at what the vault holds
+  liquidation: function(state, collateralPrice, amount) {
+    var maxRepay = VaultMath.maxLiquidation(state, collateralPrice);
+    var repaid = amount === undefined || amount.greaterThan(maxRepay) ? maxRepay : amount;
+    var debtOwned = repaid.plus(
+      repaid.times(100).times(state.liquidationPenalty).dividedToIntegerBy(100).dividedToIntegerBy(100)
+    );
+    var toCollateral = function(amount) {
+      if (collateralPrice.isZero()) {
+        return state.collateralAmount;
+      }
+      return amount.times(state.debtPrice).times(state.collateralPriceGranularity)
+        .dividedToIntegerBy(collateralPrice.times(state.debtPriceGranularity));
+    };
+    var collateral = toCollateral(debtOwned);
+    if (collateral.greaterThan(state.collateralAmount)) {
+      collateral = state.collateralAmount;
+    }
+    var penalty = collateral.minus(toCollateral(repaid));
+    return {
+      repaid: repaid,
+      debtOwned: debtOwned,
+      collateral: collateral,
+      penalty: penalty.isNegative() ? web3.toBigNumber(0) : penalty
+    };
+  },
+
+  originationFee: function(state, amount) {
+    return amount.times(state.originationFee).dividedToIntegerBy(10000);
+  },
+
+  withMargin: function(amount, marginBasisPoints) {
+    return amount.times(10000 - marginBasisPoints).dividedToIntegerBy(10000);
+  }
+};
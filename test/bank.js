@@ -13,6 +13,9 @@ const { expect } = require('chai');
 var Bank = artifacts.require("Bank");
 var CT = artifacts.require("GLDToken");
 var DT = artifacts.require("USDToken");
+var ManualAdapter = artifacts.require("ManualAdapter");
+var ChainlinkAdapter = artifacts.require("ChainlinkAdapter");
+var MockAggregator = artifacts.require("MockAggregator");
 
 contract("Bank", function(_accounts) {
   const INTEREST_RATE = 1200; // 12%
@@ -25,6 +28,15 @@ contract("Bank", function(_accounts) {
   const TELLOR_REQUEST_ID = 60;
   let oracle;
 
+  // A bank priced by an oracle adapter, with the same tokens and initial prices as this.bank
+  async function deployBank(test, adapter) {
+    const bank = await Bank.new(adapter.address);
+    await bank.init(_accounts[0], BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO, LIQUIDATION_PENALTY, PERIOD, _accounts[9], adapter.address);
+    await bank.setCollateral(test.ct.address, 2, 1000, 1000);
+    await bank.setDebt(test.dt.address, 1, 1000, 1000);
+    return bank;
+  }
+
   beforeEach(async function () {
 
     // Bank set up
@@ -54,6 +66,7 @@ contract("Bank", function(_accounts) {
     const originationFee = await this.bank.getOriginationFee();
     const collateralizationRatio = await this.bank.getCollateralizationRatio();
     const liquidationPenalty = await this.bank.getLiquidationPenalty();
+    const period = await this.bank.getPeriod();
     const reserveBalance = await this.bank.getReserveBalance();
     const reserveCollateralBalance = await this.bank.getReserveCollateralBalance();
     const owner = await this.bank.owner();
@@ -67,12 +80,34 @@ contract("Bank", function(_accounts) {
     assert.equal(originationFee, ORIGINATION_FEE);
     assert.equal(collateralizationRatio, COLLATERALIZATION_RATIO);
     assert.equal(liquidationPenalty, LIQUIDATION_PENALTY);
+    assert.equal(period, PERIOD);
     assert.equal(reserveBalance, 0);
     assert.equal(reserveCollateralBalance, 0);
     assert.equal(dtAddress, this.dt.address);
     assert.equal(ctAddress, this.ct.address);
   });
 
+  it('should return the bank parameters in one summary', async function () {
+    await this.dt.approve(this.bank.address, this.depositAmount);
+    await this.bank.reserveDeposit(this.depositAmount);
+    const summary = await this.bank.getBankSummary();
+
+    assert.equal(summary.interestRate, INTEREST_RATE);
+    assert.equal(summary.originationFee, ORIGINATION_FEE);
+    assert.equal(summary.collateralizationRatio, COLLATERALIZATION_RATIO);
+    assert.equal(summary.liquidationPenalty, LIQUIDATION_PENALTY);
+    assert.equal(summary.period, PERIOD);
+    assert.equal(summary.reserveBalance, this.depositAmount.toString());
+    assert.equal(summary.reserveCollateralBalance, 0);
+    assert.equal(summary.oracleContract, TELLOR_ORACLE_ADDRESS);
+    assert.equal(summary.collateralTokenAddress, this.ct.address);
+    assert.equal(summary.collateralTokenPrice, 1000);
+    assert.equal(summary.collateralTokenPriceGranularity, 1000);
+    assert.equal(summary.debtTokenAddress, this.dt.address);
+    assert.equal(summary.debtTokenPrice, 1000);
+    assert.equal(summary.debtTokenPriceGranularity, 1000);
+  });
+
   it('should allow owner to deposit reserves', async function () {
     await this.dt.approve(this.bank.address, this.depositAmount);
     await this.bank.reserveDeposit(this.depositAmount);
@@ -101,11 +136,11 @@ contract("Bank", function(_accounts) {
 
 
   it('should not allow non-owner to deposit reserves', async function () {
-    await expectRevert(this.bank.reserveDeposit(ether(new BN(100)), {from: _accounts[1]}), "IS NOT OWNER");
+    await expectRevert(this.bank.reserveDeposit(ether(new BN(100)), {from: _accounts[1]}), "Ownable: caller is not the owner");
   });
 
   it('should not allow non-owner to withdraw reserves', async function () {
-    await expectRevert(this.bank.reserveWithdraw(ether(new BN(100)), {from: _accounts[1]}), "IS NOT OWNER");
+    await expectRevert(this.bank.reserveWithdraw(ether(new BN(100)), {from: _accounts[1]}), "Ownable: caller is not the owner");
   });
 
   it('should allow user to deposit collateral into vault', async function () {
@@ -216,6 +251,46 @@ contract("Bank", function(_accounts) {
     expect(debtBalance).to.be.bignumber.equal(this.depositAmount.sub(this.borrowAmount));
   });
 
+  it('should return a vault and its accrued debt in one summary', async function () {
+    await this.dt.approve(this.bank.address, this.depositAmount);
+    await this.bank.reserveDeposit(this.depositAmount);
+    await this.ct.approve(this.bank.address, this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultDeposit(this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultBorrow(this.borrowAmount, {from: _accounts[1]});
+    await time.increase(60*60*24*2+10) // Let two days pass
+    const summary = await this.bank.getVaultSummary(_accounts[1]);
+    const vault = await this.bank.vaults(_accounts[1]);
+    const repayAmount = await this.bank.getVaultRepayAmount({from: _accounts[1]});
+    const debtAmount = await this.bank.getVaultDebtAmount({from: _accounts[1]});
+    const ratio = await this.bank.getVaultCollateralizationRatio(_accounts[1]);
+    const latest = await time.latest();
+
+    assert.equal(summary.collateralAmount, this.depositAmount.toString());
+    assert.equal(summary.debtAmount, debtAmount.toString());
+    assert.equal(summary.repayAmount, repayAmount.toString());
+    assert.equal(summary.createdAt, vault.createdAt.toString());
+    assert.equal(summary.collateralizationRatio, ratio.toString());
+    assert.equal(summary.timestamp, latest.toString());
+  });
+
+  it('should let anyone read another vault\'s amounts including accrued interest', async function () {
+    await this.dt.approve(this.bank.address, this.depositAmount);
+    await this.bank.reserveDeposit(this.depositAmount);
+    await this.ct.approve(this.bank.address, this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultDeposit(this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultBorrow(this.borrowAmount, {from: _accounts[1]});
+    await time.increase(60*60*24*2+10) // Let two days pass
+    const collateralAmount = await this.bank.getVaultCollateralAmountOf(_accounts[1], {from: _accounts[2]});
+    const debtAmount = await this.bank.getVaultDebtAmountOf(_accounts[1], {from: _accounts[2]});
+    const repayAmount = await this.bank.getVaultRepayAmountOf(_accounts[1], {from: _accounts[2]});
+    expect(collateralAmount).to.be.bignumber.equal(await this.bank.getVaultCollateralAmount({from: _accounts[1]}));
+    expect(debtAmount).to.be.bignumber.equal(await this.bank.getVaultDebtAmount({from: _accounts[1]}));
+    expect(repayAmount).to.be.bignumber.equal(await this.bank.getVaultRepayAmount({from: _accounts[1]}));
+    expect(repayAmount).to.be.bignumber.gt(debtAmount);
+    const emptyVault = await this.bank.getVaultRepayAmountOf(_accounts[2]);
+    expect(emptyVault).to.be.bignumber.equal(this.zero);
+  });
+
   it('should accrue interest on a vault\'s borrowed amount with repayment', async function () {
     await this.dt.approve(this.bank.address, this.depositAmount);
     await this.bank.reserveDeposit(this.depositAmount);
@@ -317,13 +392,181 @@ contract("Bank", function(_accounts) {
     expect(collateralizationRatio).to.be.bignumber.equal("15301");
   });
 
+  it('should only let the owner set the price guards', async function () {
+    expect(await this.bank.getMaxPriceAge()).to.be.bignumber.equal(this.zero);
+    expect(await this.bank.getMaxPriceDeviation()).to.be.bignumber.equal(new BN(50));
+    const { logs } = await this.bank.setPriceGuards(3600, 20);
+    expectEvent.inLogs(logs, 'PriceGuardsUpdate', {maxPriceAge: new BN(3600), maxPriceDeviation: new BN(20)});
+    expect(await this.bank.getMaxPriceAge()).to.be.bignumber.equal(new BN(3600));
+    expect(await this.bank.getMaxPriceDeviation()).to.be.bignumber.equal(new BN(20));
+    await expectRevert(this.bank.setPriceGuards(60, 10, {from: _accounts[1]}), "Ownable: caller is not the owner");
+  });
+
+  it('should time the initial prices from when they were set', async function () {
+    const latest = await time.latest();
+    expect(await this.bank.getCollateralTokenLastUpdatedAt()).to.be.bignumber.lte(latest);
+    expect(await this.bank.getCollateralTokenLastUpdatedAt()).to.be.bignumber.gt(this.zero);
+    expect(await this.bank.getDebtTokenLastUpdatedAt()).to.be.bignumber.gt(this.zero);
+  });
+
+  it('should not borrow or withdraw against debt with stale prices', async function () {
+    await this.dt.approve(this.bank.address, this.depositAmount);
+    await this.bank.reserveDeposit(this.depositAmount);
+    await this.ct.approve(this.bank.address, this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultDeposit(this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultBorrow(this.smallBorrowAmount, {from: _accounts[1]});
+    await this.bank.setPriceGuards(3600, 50);
+    await time.increase(3601);
+    await expectRevert(this.bank.vaultBorrow(this.smallBorrowAmount, {from: _accounts[1]}), "PRICE IS STALE");
+    await expectRevert(this.bank.vaultWithdraw(this.one, {from: _accounts[1]}), "PRICE IS STALE");
+    await expectRevert(this.bank.liquidate(_accounts[1], this.one), "PRICE IS STALE");
+  });
+
+  it('should not borrow against a zero price', async function () {
+    const bank = await Bank.new(TELLOR_ORACLE_ADDRESS);
+    await bank.init(_accounts[0], BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO, LIQUIDATION_PENALTY, PERIOD, _accounts[9], TELLOR_ORACLE_ADDRESS);
+    await bank.setCollateral(this.ct.address, 2, 1000, 0);
+    await bank.setDebt(this.dt.address, 1, 1000, 1000);
+    await this.ct.approve(bank.address, this.depositAmount, {from: _accounts[1]});
+    await bank.vaultDeposit(this.depositAmount, {from: _accounts[1]});
+    await expectRevert(bank.vaultBorrow(this.one, {from: _accounts[1]}), "PRICE IS ZERO");
+  });
+
+  it('should update prices from a manual oracle adapter', async function () {
+    const adapter = await ManualAdapter.new();
+    const bank = await deployBank(this, adapter);
+    expect(await bank.getOracleContract()).to.equal(adapter.address);
+    expect(await adapter.oracleType()).to.equal("Manual");
+
+    await expectRevert(bank.updateCollateralPrice(), "ORACLE PRICE UNAVAILABLE");
+    await expectRevert(adapter.setValue(2, 1200, {from: _accounts[1]}), "Ownable: caller is not the owner");
+    await adapter.setValue(2, 1200);
+    const reportedAt = await time.latest();
+    const { logs } = await bank.updateCollateralPrice();
+    expectEvent.inLogs(logs, 'PriceUpdate', {token: this.ct.address, price: new BN(1200)});
+    expect(await bank.getCollateralTokenPrice()).to.be.bignumber.equal(new BN(1200));
+    // The price is as old as its report, not the update transaction
+    expect(await bank.getCollateralTokenLastUpdatedAt()).to.be.bignumber.equal(reportedAt);
+  });
+
+  it('should cap how far one update moves the price and catch up over later ones', async function () {
+    const adapter = await ManualAdapter.new();
+    const bank = await deployBank(this, adapter);
+    await adapter.setValue(2, 2500);
+    const { logs } = await bank.updateCollateralPrice();
+    // 50% above the initial 1000 at most
+    expectEvent.inLogs(logs, 'PriceUpdate', {token: this.ct.address, price: new BN(1500)});
+    await bank.updateCollateralPrice();
+    expect(await bank.getCollateralTokenPrice()).to.be.bignumber.equal(new BN(2250));
+    await bank.updateCollateralPrice();
+    expect(await bank.getCollateralTokenPrice()).to.be.bignumber.equal(new BN(2500));
+
+    await adapter.setValue(2, 100);
+    await bank.updateCollateralPrice();
+    expect(await bank.getCollateralTokenPrice()).to.be.bignumber.equal(new BN(1250));
+  });
+
+  it('should update prices from a chainlink adapter', async function () {
+    const aggregator = await MockAggregator.new(8, 150000000);
+    const adapter = await ChainlinkAdapter.new();
+    const bank = await Bank.new(adapter.address);
+    await bank.init(_accounts[0], BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO, LIQUIDATION_PENALTY, PERIOD, _accounts[9], adapter.address);
+    await bank.setCollateral(this.ct.address, 2, 100000000, 100000000);
+    await bank.setDebt(this.dt.address, 1, 100000000, 100000000);
+    expect(await adapter.oracleType()).to.equal("Chainlink");
+
+    await expectRevert(bank.updateCollateralPrice(), "ORACLE PRICE UNAVAILABLE");
+    await expectRevert(adapter.setFeed(2, aggregator.address, {from: _accounts[1]}), "Ownable: caller is not the owner");
+    const { logs } = await adapter.setFeed(2, aggregator.address);
+    expectEvent.inLogs(logs, 'FeedUpdate', {requestId: new BN(2), aggregator: aggregator.address});
+    await bank.updateCollateralPrice();
+    expect(await bank.getCollateralTokenPrice()).to.be.bignumber.equal(new BN(150000000));
+
+    // A negative answer is no price at all
+    await aggregator.setAnswer(-1);
+    await expectRevert(bank.updateCollateralPrice(), "ORACLE PRICE UNAVAILABLE");
+  });
+
+  it('should only let the owner set the price aggregation', async function () {
+    expect(await this.bank.getPriceAggregation()).to.be.bignumber.equal(this.zero);
+    expect(await this.bank.getPriceSamples()).to.be.bignumber.equal(this.one);
+    expect(await this.bank.getDisputeWindow()).to.be.bignumber.equal(this.zero);
+    const { logs } = await this.bank.setPriceAggregation(0, 5, 0);
+    expectEvent.inLogs(logs, 'PriceAggregationUpdate', {priceAggregation: this.zero, priceSamples: new BN(5), disputeWindow: this.zero});
+    expect(await this.bank.getPriceSamples()).to.be.bignumber.equal(new BN(5));
+    await expectRevert(this.bank.setPriceAggregation(0, 5, 0, {from: _accounts[1]}), "Ownable: caller is not the owner");
+    await expectRevert(this.bank.setPriceAggregation(3, 5, 0), "UNKNOWN PRICE AGGREGATION");
+    await expectRevert(this.bank.setPriceAggregation(1, 0, 0), "PRICE SAMPLES MUST BE 1 TO 20");
+    await expectRevert(this.bank.setPriceAggregation(1, 21, 0), "PRICE SAMPLES MUST BE 1 TO 20");
+    // This bank's oracle is not an adapter with a price history
+    await expectRevert(this.bank.setPriceAggregation(1, 5, 0), "ORACLE HAS NO PRICE HISTORY");
+    await expectRevert(this.bank.setPriceAggregation(0, 1, 3600), "ORACLE HAS NO PRICE HISTORY");
+  });
+
+  it('should price at the median of recent oracle values', async function () {
+    const adapter = await ManualAdapter.new();
+    const bank = await deployBank(this, adapter);
+    await adapter.setValue(2, 1000);
+    await adapter.setValue(2, 1400);
+    await adapter.setValue(2, 1100);
+    await bank.setPriceAggregation(1, 3, 0);
+    await bank.updateCollateralPrice();
+    expect(await bank.getCollateralTokenPrice()).to.be.bignumber.equal(new BN(1100));
+
+    // An even number of values averages the middle two: 1000, 1100, 1200, 1400
+    await adapter.setValue(2, 1200);
+    await bank.setPriceAggregation(1, 4, 0);
+    await bank.updateCollateralPrice();
+    expect(await bank.getCollateralTokenPrice()).to.be.bignumber.equal(new BN(1150));
+
+    // Disputed values read as zero and are skipped
+    await adapter.setValue(2, 0);
+    await bank.setPriceAggregation(1, 3, 0);
+    await bank.updateCollateralPrice();
+    expect(await bank.getCollateralTokenPrice()).to.be.bignumber.equal(new BN(1200));
+  });
+
+  it('should ignore oracle values inside the dispute window', async function () {
+    const adapter = await ManualAdapter.new();
+    const bank = await deployBank(this, adapter);
+    await bank.setPriceAggregation(0, 1, 3600);
+    await adapter.setValue(2, 1200);
+    const reportedAt = await time.latest();
+    await expectRevert(bank.updateCollateralPrice(), "ORACLE PRICE UNAVAILABLE");
+
+    await time.increase(3600);
+    await adapter.setValue(2, 1500);
+    await bank.updateCollateralPrice();
+    expect(await bank.getCollateralTokenPrice()).to.be.bignumber.equal(new BN(1200));
+    expect(await bank.getCollateralTokenLastUpdatedAt()).to.be.bignumber.equal(reportedAt);
+
+    await time.increase(3600);
+    await bank.updateCollateralPrice();
+    expect(await bank.getCollateralTokenPrice()).to.be.bignumber.equal(new BN(1500));
+  });
+
+  it('should price at the time-weighted average of recent oracle values', async function () {
+    const adapter = await ManualAdapter.new();
+    const bank = await deployBank(this, adapter);
+    await bank.setPriceAggregation(2, 2, 0);
+    await adapter.setValue(2, 1000);
+    await time.increase(1000);
+    await adapter.setValue(2, 1300);
+    await time.increase(1000);
+    await bank.updateCollateralPrice();
+    // About 1000s at each value, give or take the seconds each block adds
+    const price = await bank.getCollateralTokenPrice();
+    expect(price).to.be.bignumber.gte(new BN(1140));
+    expect(price).to.be.bignumber.lte(new BN(1160));
+  });
+
   it('should not liquidate overcollateralized vault', async function () {
     await this.dt.approve(this.bank.address, this.depositAmount);
     await this.bank.reserveDeposit(this.depositAmount);
     await this.ct.approve(this.bank.address, this.depositAmount, {from: _accounts[1]});
     await this.bank.vaultDeposit(this.depositAmount, {from: _accounts[1]});
     await this.bank.vaultBorrow(this.borrowAmount, {from: _accounts[1]});
-    await expectRevert(this.bank.liquidate(_accounts[1]), "VAULT NOT UNDERCOLLATERALIZED");
+    await expectRevert(this.bank.liquidate(_accounts[1], this.borrowAmount), "VAULT NOT UNDERCOLLATERALIZED");
   });
 
   xit('should liquidate undercollateralized vault', async function () {
@@ -373,9 +616,11 @@ contract("Bank", function(_accounts) {
 
     collateralizationRatio = await this.bank.getVaultCollateralizationRatio(_accounts[1]);
     expect(collateralizationRatio).to.be.bignumber.equal(((this.depositAmount.mul(new BN(1000))).mul(new BN(10000))).div(b_amount.mul(new BN(1000))));
-    await this.bank.liquidate(_accounts[1]);
+    await this.bank.setCloseFactor(100);
+    await this.dt.approve(this.bank.address, repayAmount);
+    await this.bank.liquidate(_accounts[1], repayAmount);
 
-    const debtOwed = b_amount.add(b_amount.mul(new BN(LIQUIDATION_PENALTY)).mul(new BN(100)).div(new BN(100)).div(new BN(100)))
+    const debtOwed = repayAmount.add(repayAmount.mul(new BN(LIQUIDATION_PENALTY)).mul(new BN(100)).div(new BN(100)).div(new BN(100)))
     const collateralToLiquidate = debtOwed.mul(new BN(1000)).div(new BN(1000));
 
     const collateralAmount = await this.bank.getVaultCollateralAmount({from: _accounts[1]});
@@ -384,12 +629,167 @@ contract("Bank", function(_accounts) {
     const collateralReserveBalance = await this.bank.getReserveCollateralBalance();
     const bankFactoryOwner = await this.bank.getBankFactoryOwner();
     const bankFactoryOwnerBalance = await this.ct.balanceOf(bankFactoryOwner);
-    const feeAmt = collateralToLiquidate.div(new BN(10));
+    const feeAmt = collateralToLiquidate.sub(repayAmount.mul(new BN(1000)).div(new BN(1000))).div(new BN(10));
     expect(bankFactoryOwnerBalance).to.be.bignumber.equal(feeAmt);
     expect(collateralAmount).to.be.bignumber.equal(this.depositAmount.sub(collateralToLiquidate)); // TODO: Check math
     expect(debtAmount).to.be.bignumber.equal(this.zero);
     expect(debtReserveBalance).to.be.bignumber.equal(this.depositAmount.sub(this.largeBorrowAmount).add(repayAmount));
-    expect(collateralReserveBalance).to.be.bignumber.equal(collateralToLiquidate.sub(feeAmt));
+    expect(collateralReserveBalance).to.be.bignumber.equal(this.zero);
+  });
+
+  it('should let anyone liquidate part of an undercollateralized vault for a bonus', async function () {
+    // The origination fee pushes a loan this close to the limit under the ratio
+    const borrowAmount = ether(new BN(665)).div(new BN(10));
+    const liquidator = _accounts[2];
+    await this.dt.approve(this.bank.address, this.depositAmount);
+    await this.bank.reserveDeposit(this.depositAmount);
+    await this.ct.approve(this.bank.address, this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultDeposit(this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultBorrow(borrowAmount, {from: _accounts[1]});
+    const ratioBefore = await this.bank.getVaultCollateralizationRatio(_accounts[1]);
+    expect(ratioBefore).to.be.bignumber.lt(new BN(COLLATERALIZATION_RATIO * 100));
+
+    // Asking for the whole debt only repays the close factor's share
+    const repayAmount = await this.bank.getVaultRepayAmountOf(_accounts[1]);
+    const closeFactor = await this.bank.getCloseFactor();
+    const debtRepaid = repayAmount.mul(closeFactor).div(new BN(100));
+    await this.dt.transfer(liquidator, repayAmount);
+    await this.dt.approve(this.bank.address, repayAmount, {from: liquidator});
+    const { logs } = await this.bank.liquidate(_accounts[1], repayAmount, {from: liquidator});
+
+    const collateralSeized = debtRepaid.add(debtRepaid.mul(new BN(LIQUIDATION_PENALTY)).div(new BN(100)));
+    const feeAmt = collateralSeized.sub(debtRepaid).div(new BN(10));
+    expect(closeFactor).to.be.bignumber.equal(new BN(50));
+    expectEvent.inLogs(logs, 'Liquidation', {
+      borrower: _accounts[1],
+      liquidator: liquidator,
+      debtRepaid: debtRepaid,
+      collateralSeized: collateralSeized
+    });
+    expect(await this.dt.balanceOf(liquidator)).to.be.bignumber.equal(repayAmount.sub(debtRepaid));
+    expect(await this.ct.balanceOf(liquidator)).to.be.bignumber.equal(collateralSeized.sub(feeAmt));
+    expect(await this.ct.balanceOf(_accounts[9])).to.be.bignumber.equal(feeAmt);
+    expect(await this.bank.getVaultCollateralAmountOf(_accounts[1])).to.be.bignumber.equal(this.depositAmount.sub(collateralSeized));
+    expect(await this.bank.getVaultDebtAmountOf(_accounts[1])).to.be.bignumber.equal(repayAmount.sub(debtRepaid));
+    expect(await this.bank.getReserveBalance()).to.be.bignumber.equal(this.depositAmount.sub(borrowAmount).add(debtRepaid));
+    expect(await this.bank.getReserveCollateralBalance()).to.be.bignumber.equal(this.zero);
+    // Seizing less than the whole vault leaves it healthier
+    expect(await this.bank.getVaultCollateralizationRatio(_accounts[1])).to.be.bignumber.gt(ratioBefore);
+  });
+
+  it('should seize collateral at the same value whatever the price granularities', async function () {
+    const adapter = await ManualAdapter.new();
+    const bank = await Bank.new(adapter.address);
+    await bank.init(_accounts[0], BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO, LIQUIDATION_PENALTY, PERIOD, _accounts[9], adapter.address);
+    // Both tokens at $1, as 8 and 6 decimal feeds report it
+    await bank.setCollateral(this.ct.address, 2, 100000000, 100000000);
+    await bank.setDebt(this.dt.address, 1, 1000000, 1000000);
+    const borrowAmount = ether(new BN(665)).div(new BN(10));
+    await this.dt.approve(bank.address, this.depositAmount);
+    await bank.reserveDeposit(this.depositAmount);
+    await this.ct.approve(bank.address, this.depositAmount, {from: _accounts[1]});
+    await bank.vaultDeposit(this.depositAmount, {from: _accounts[1]});
+    await bank.vaultBorrow(borrowAmount, {from: _accounts[1]});
+
+    const repayAmount = await bank.getVaultRepayAmountOf(_accounts[1]);
+    const debtRepaid = repayAmount.div(this.two);
+    await this.dt.approve(bank.address, debtRepaid);
+    const { logs } = await bank.liquidate(_accounts[1], debtRepaid);
+    const collateralSeized = debtRepaid.add(debtRepaid.mul(new BN(LIQUIDATION_PENALTY)).div(new BN(100)));
+    expectEvent.inLogs(logs, 'Liquidation', {debtRepaid: debtRepaid, collateralSeized: collateralSeized});
+    expect(await bank.getVaultCollateralAmountOf(_accounts[1])).to.be.bignumber.equal(this.depositAmount.sub(collateralSeized));
+    expect(await this.ct.balanceOf(_accounts[9])).to.be.bignumber.equal(collateralSeized.sub(debtRepaid).div(new BN(10)));
+  });
+
+  it('should let vaults withdraw collateral after a liquidation', async function () {
+    const borrowAmount = ether(new BN(665)).div(new BN(10));
+    await this.dt.approve(this.bank.address, this.depositAmount);
+    await this.bank.reserveDeposit(this.depositAmount);
+    await this.ct.approve(this.bank.address, this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultDeposit(this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultBorrow(borrowAmount, {from: _accounts[1]});
+    await this.ct.transfer(_accounts[3], this.depositAmount);
+    await this.ct.approve(this.bank.address, this.depositAmount, {from: _accounts[3]});
+    await this.bank.vaultDeposit(this.depositAmount, {from: _accounts[3]});
+    await this.dt.approve(this.bank.address, this.withdrawAmount);
+    await this.bank.liquidate(_accounts[1], this.withdrawAmount);
+
+    // Neither the liquidation nor the withdrawals touch the reserve collateral
+    await this.bank.vaultWithdraw(this.withdrawAmount, {from: _accounts[3]});
+    await this.bank.vaultWithdraw(this.withdrawAmount, {from: _accounts[3]});
+    expect(await this.bank.getVaultCollateralAmountOf(_accounts[3])).to.be.bignumber.equal(this.zero);
+    expect(await this.ct.balanceOf(_accounts[3])).to.be.bignumber.equal(this.depositAmount);
+    expect(await this.bank.getReserveCollateralBalance()).to.be.bignumber.equal(this.zero);
+  });
+
+  it('should liquidate the whole debt with a close factor of 100', async function () {
+    const borrowAmount = ether(new BN(665)).div(new BN(10));
+    await this.dt.approve(this.bank.address, this.depositAmount);
+    await this.bank.reserveDeposit(this.depositAmount);
+    await this.ct.approve(this.bank.address, this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultDeposit(this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultBorrow(borrowAmount, {from: _accounts[1]});
+    await this.bank.setCloseFactor(100);
+    const repayAmount = await this.bank.getVaultRepayAmountOf(_accounts[1]);
+    await this.dt.approve(this.bank.address, repayAmount);
+    await this.bank.liquidate(_accounts[1], repayAmount);
+    expect(await this.bank.getVaultDebtAmountOf(_accounts[1])).to.be.bignumber.equal(this.zero);
+    await expectRevert(this.bank.liquidate(_accounts[1], repayAmount), "VAULT HAS NO DEBT");
+  });
+
+  it('should liquidate all of a vault below 100% plus the penalty', async function () {
+    const adapter = await ManualAdapter.new();
+    const bank = await deployBank(this, adapter);
+    const borrowAmount = ether(new BN(665)).div(new BN(10));
+    await this.dt.approve(bank.address, this.depositAmount);
+    await bank.reserveDeposit(this.depositAmount);
+    await this.ct.approve(bank.address, this.depositAmount, {from: _accounts[1]});
+    await bank.vaultDeposit(this.depositAmount, {from: _accounts[1]});
+    await bank.vaultBorrow(borrowAmount, {from: _accounts[1]});
+    await adapter.setValue(2, 700);
+    await bank.updateCollateralPrice();
+    // Liquidations settle the interest first and compare ratios on that debt
+    await time.increase(PERIOD * 2);
+    const ratioBefore = await bank.getVaultCollateralizationRatio(_accounts[1]);
+    expect(ratioBefore).to.be.bignumber.lt(new BN((100 + LIQUIDATION_PENALTY) * 100));
+
+    // Seizing the penalty on part of the debt would leave the vault worse off
+    await this.dt.approve(bank.address, ether(new BN(10)));
+    await expectRevert(bank.liquidate(_accounts[1], ether(new BN(10))), "LIQUIDATION WOULD LOWER VAULT RATIO");
+
+    // The close factor doesn't apply, the whole debt is repaid for all the collateral
+    const repayAmount = await bank.getVaultRepayAmountOf(_accounts[1]);
+    await this.dt.transfer(_accounts[2], repayAmount);
+    await this.dt.approve(bank.address, repayAmount, {from: _accounts[2]});
+    const { logs } = await bank.liquidate(_accounts[1], repayAmount, {from: _accounts[2]});
+    expectEvent.inLogs(logs, 'Liquidation', {
+      borrower: _accounts[1],
+      debtRepaid: repayAmount,
+      collateralSeized: this.depositAmount
+    });
+    const feeAmt = this.depositAmount.sub(repayAmount.mul(new BN(1000)).div(new BN(700))).div(new BN(10));
+    expect(await bank.getVaultDebtAmountOf(_accounts[1])).to.be.bignumber.equal(this.zero);
+    expect(await bank.getVaultCollateralAmountOf(_accounts[1])).to.be.bignumber.equal(this.zero);
+    expect(await this.ct.balanceOf(_accounts[2])).to.be.bignumber.equal(this.depositAmount.sub(feeAmt));
+  });
+
+  it('should only let the owner set a close factor from 1 to 100', async function () {
+    const { logs } = await this.bank.setCloseFactor(75);
+    expectEvent.inLogs(logs, 'CloseFactorUpdate', {closeFactor: new BN(75)});
+    expect(await this.bank.getCloseFactor()).to.be.bignumber.equal(new BN(75));
+    await expectRevert(this.bank.setCloseFactor(0), "CLOSE FACTOR MUST BE 1 TO 100");
+    await expectRevert(this.bank.setCloseFactor(101), "CLOSE FACTOR MUST BE 1 TO 100");
+    await expectRevert(this.bank.setCloseFactor(50, {from: _accounts[1]}), "Ownable: caller is not the owner");
+  });
+
+  it('should not liquidate without the liquidator repaying the debt', async function () {
+    const borrowAmount = ether(new BN(665)).div(new BN(10));
+    await this.dt.approve(this.bank.address, this.depositAmount);
+    await this.bank.reserveDeposit(this.depositAmount);
+    await this.ct.approve(this.bank.address, this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultDeposit(this.depositAmount, {from: _accounts[1]});
+    await this.bank.vaultBorrow(borrowAmount, {from: _accounts[1]});
+    await expectRevert(this.bank.liquidate(_accounts[1], borrowAmount, {from: _accounts[2]}), "ERC20: transfer amount exceeds balance");
   });
 
 
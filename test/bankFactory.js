@@ -14,6 +14,7 @@ const { expect } = require('chai');
 
 var Bank = artifacts.require("Bank");
 var BankFactory = artifacts.require("BankFactory");
+var TellorAdapter = artifacts.require("TellorAdapter");
 var CT = artifacts.require("GLDToken");
 var DT = artifacts.require("USDToken");
 
@@ -32,11 +33,12 @@ contract("BankFactory", function(_accounts) {
     this.master = await new web3.eth.Contract(TellorMaster.abi,this.oracle.address);
     this.oa = (web3.utils.toChecksumAddress(this.oracle.address))
     this.oracle2 = await new web3.eth.Contract(Tellor.abi,this.oa);
+    this.adapter = await TellorAdapter.new(this.oracle.address);
 
     // Bank set up
     this.ct = await CT.new(ether(new BN(10000)));
     this.dt = await DT.new(ether(new BN(10000)));
-    this.bank = await Bank.new(this.oracle.address);
+    this.bank = await Bank.new(this.adapter.address);
     this.bankFactory = await BankFactory.new(this.bank.address);
     this.depositAmount = ether(new BN(100));
     this.largeDepositAmount = ether(new BN(5000));
@@ -60,10 +62,10 @@ contract("BankFactory", function(_accounts) {
 
   it("should create a bank clone with correct parameters", async function(){
     var clone = await this.bankFactory.createBank(
-      BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO, LIQUIDATION_PENALTY, PERIOD, this.oracle.address,
+      BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO, LIQUIDATION_PENALTY, PERIOD, this.adapter.address,
       {"from": _accounts[1]}
     );
-    let bankClone = await Bank.at(clone.logs[0].args.newBankAddress);
+    let bankClone = await Bank.at(clone.logs.find(log => log.event == "BankCreated").args.newBankAddress);
 
     await bankClone.setCollateral(this.ct.address, 2, 1000, 1000, {"from": _accounts[1]});
     await bankClone.setDebt(this.dt.address, 1, 1000, 1000, {"from": _accounts[1]});
@@ -78,6 +80,7 @@ contract("BankFactory", function(_accounts) {
     const ctAddress = await bankClone.getCollateralTokenAddress();
     const bankCount = await this.bankFactory.getNumberOfBanks();
     const bankAddress = await this.bankFactory.getBankAddressAtIndex(0);
+    const oracleContract = await bankClone.getOracleContract();
 
     assert.equal(bankAddress, bankClone.address);
     assert.equal(bankCount, 1);
@@ -90,24 +93,54 @@ contract("BankFactory", function(_accounts) {
     assert.equal(reserveCollateralBalance, 0);
     assert.equal(dtAddress, this.dt.address);
     assert.equal(ctAddress, this.ct.address);
+    assert.equal(oracleContract, this.adapter.address);
+  });
+
+  it("should let the creator configure and administer a bank clone", async function(){
+    var clone = await this.bankFactory.createBank(
+      BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO, LIQUIDATION_PENALTY, PERIOD, this.adapter.address,
+      {"from": _accounts[1]}
+    );
+    let bankClone = await Bank.at(clone.logs.find(log => log.event == "BankCreated").args.newBankAddress);
+    assert.equal(await bankClone.owner(), _accounts[1]);
+
+    await expectRevert(bankClone.setCollateral(this.ct.address, 2, 1000, 1000, {"from": _accounts[2]}), "Ownable: caller is not the owner");
+    await bankClone.setCollateral(this.ct.address, 2, 1000, 1000, {"from": _accounts[1]});
+    await bankClone.setDebt(this.dt.address, 1, 1000, 1000, {"from": _accounts[1]});
+    await expectRevert(bankClone.setCollateral(this.dt.address, 2, 1000, 1000, {"from": _accounts[1]}), "COLLATERAL ALREADY SET");
+    await expectRevert(bankClone.setDebt(this.ct.address, 1, 1000, 1000, {"from": _accounts[1]}), "DEBT ALREADY SET");
+    await expectRevert(bankClone.init(_accounts[2], BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO,
+      LIQUIDATION_PENALTY, PERIOD, _accounts[2], this.adapter.address), "Initializable: contract is already initialized");
+
+    await bankClone.setCloseFactor(100, {"from": _accounts[1]});
+    await bankClone.setPriceGuards(3600, 20, {"from": _accounts[1]});
+    await bankClone.setPriceAggregation(0, 3, 0, {"from": _accounts[1]});
+    await expectRevert(bankClone.setCloseFactor(100, {"from": _accounts[2]}), "Ownable: caller is not the owner");
+    assert.equal(await bankClone.getCloseFactor(), 100);
+    assert.equal(await bankClone.getMaxPriceAge(), 3600);
+    assert.equal(await bankClone.getPriceSamples(), 3);
+
+    await this.dt.approve(bankClone.address, this.depositAmount, {"from": _accounts[1]});
+    await bankClone.reserveDeposit(this.depositAmount, {"from": _accounts[1]});
+    assert.equal((await bankClone.getReserveBalance()).toString(), this.depositAmount.toString());
   });
 
   it("should create a bank multiple clones ", async function(){
     var clone1 = await this.bankFactory.createBank(
-      BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO, LIQUIDATION_PENALTY, PERIOD, this.oracle.address,
+      BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO, LIQUIDATION_PENALTY, PERIOD, this.adapter.address,
       {"from": _accounts[1]}
     );
-    let bankClone1 = await Bank.at(clone1.logs[0].args.newBankAddress);
+    let bankClone1 = await Bank.at(clone1.logs.find(log => log.event == "BankCreated").args.newBankAddress);
 
     await bankClone1.setCollateral(this.ct.address, 2, 1000, 1000, {"from": _accounts[1]});
     await bankClone1.setDebt(this.dt.address, 1, 1000, 1000, {"from": _accounts[1]});
     const owner1 = await bankClone1.owner();
 
     var clone2 = await this.bankFactory.createBank(
-      BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO, LIQUIDATION_PENALTY, PERIOD, this.oracle.address,
+      BANK_NAME, INTEREST_RATE, ORIGINATION_FEE, COLLATERALIZATION_RATIO, LIQUIDATION_PENALTY, PERIOD, this.adapter.address,
       {"from": _accounts[2]}
     );
-    let bankClone2 = await Bank.at(clone2.logs[0].args.newBankAddress);
+    let bankClone2 = await Bank.at(clone2.logs.find(log => log.event == "BankCreated").args.newBankAddress);
 
     await bankClone2.setCollateral(this.dt.address, 2, 1000, 1000, {"from": _accounts[2]});
     await bankClone2.setDebt(this.ct.address, 1, 1000, 1000, {"from": _accounts[2]});
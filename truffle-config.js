@@ -13,7 +13,14 @@ module.exports = {
   plugins: ["truffle-plugin-verify"],
   compilers: {
     solc: {
-      version: "^0.8.0"
+      version: "^0.8.0",
+      // Bank is over the 24KB contract size limit without it
+      settings: {
+        optimizer: {
+          enabled: true,
+          runs: 200
+        }
+      }
     }
   },
   networks: {